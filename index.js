@@ -1,6 +1,10 @@
-import RedisMessageBroker from './src/redismb.js';
+import redismb from './src/redismb.js';
+import RedisMessageBroker, { createBroker } from './src/broker.js';
 import Subscriber from './src/subscriber.js';
 import Publisher from './src/publisher.js';
+import Scheduler from './src/scheduler.js';
+import { NonRetryableError, SchemaValidationError, Disposition } from './src/errors.js';
+import { PrometheusMetrics, METRICS } from './src/metrics.js';
 
-export default RedisMessageBroker;
-export { Subscriber, Publisher };
+export default redismb;
+export { Subscriber, Publisher, Scheduler, RedisMessageBroker, createBroker, NonRetryableError, SchemaValidationError, Disposition, PrometheusMetrics, METRICS };
@@ -0,0 +1,657 @@
+import { open } from 'node:fs/promises';
+import Redis from 'ioredis';
+
+import Publisher from './publisher.js';
+import Subscriber, { DEAD_LETTERS_KEY } from './subscriber.js';
+import Scheduler from './scheduler.js';
+import { decodeMessage, encodeMessage, isEnvelope } from './message.js';
+import { defineScripts } from './scripts.js';
+import { createLogger } from './logger.js';
+import SchemaRegistry from './schemas.js';
+
+// Stream where every subscriber used to write rejected messages, still read by default for backward compatibility.
+const LEGACY_REJECTIONS = 'rejections';
+
+// Number of entries read per request while scanning a dead-letter stream.
+const SCAN_COUNT = 100;
+
+// Brokers with a redis connection, so that they can all be drained and stopped when the process is asked to stop.
+export const connectedBrokers = new Set();
+
+export default class RedisMessageBroker {
+  /**
+   * Constructor for creating a message broker bound to its own Redis connection.
+   *
+   * Several brokers can live side by side in the same process, each one talking to a different Redis deployment.
+   *
+   * @constructor
+   */
+  constructor () {
+    this.redis = null;
+    this.logger = createLogger();
+    // Subscribers of the broker currently subscribed, so they can be drained before stopping.
+    this.subscribers = new Set();
+    // JSON Schemas validating the messages published and consumed through the broker.
+    this.schemas = new SchemaRegistry();
+  }
+
+  /**
+   * Set redis connection.
+   *
+   * The logger is also used by the publishers, subscribers and schedulers of the broker that have no logger of their own.
+   *
+   * @param {string} redisUri             Redis uri.
+   * @param {number} [ttl]                Seconds waiting until Redis is connected.
+   * @param {{
+   *  logger:object|undefined,
+   *  logLevel:string|undefined
+   * }} [options]                         Logger (e.g. pino or winston, the console by default) and minimum level logged
+   *                                      ('debug', 'info', 'warn', 'error' or 'silent', 'info' by default). See logger.js.
+   *
+   * @returns {Promise<Redis>} Promise object representing the established redis connection.
+   */
+  bootstrap = async (redisUri, ttl = 30, { logger, logLevel } = {}) => {
+    if (logger || logLevel) this.logger = createLogger(logger, logLevel);
+
+    let ready = false;
+
+    const redis = defineScripts(new Redis(redisUri));
+    this.redis = redis;
+    connectedBrokers.add(this);
+
+    redis.on('ready', () => {
+      ready = true;
+    });
+
+    redis.on('error', (error) => {
+      this.logger.error(`Redis connection error: ${error.message}`, { error });
+    });
+
+    // Wait until redis is ready so the connection is not used before it is established
+    let wait = ttl;
+    const _sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+    /* eslint-disable no-unmodified-loop-condition */
+    while (!ready) {
+      await _sleep(1000);
+      if (--wait < 1) {
+        throw new Error('TIMEOUT', `Redis is not connecting (waited for ${wait} seconds)`);
+      }
+    }
+
+    return redis;
+  };
+
+  /**
+   * Terminate redis connection.
+   */
+  stop = async () => {
+    if (this.redis) {
+      const result = await this.redis.quit();
+      this.redis = null;
+      connectedBrokers.delete(this);
+      return result;
+    }
+  };
+
+  /**
+   * Unsubscribe every subscriber of the broker, waiting for their callbacks in progress (see Subscriber unsubscribe).
+   *
+   * @param {number} [timeout=60000] Maximum milliseconds to wait for the callbacks in progress.
+   *
+   * @returns {Promise<object[]>} Promise object representing the unsubscribe result of every subscriber.
+   */
+  drain = async (timeout = 60000) => {
+    return Promise.all([...this.subscribers].map((subscriber) => subscriber.unsubscribe(timeout)));
+  };
+
+  /**
+   * Get the established redis connection.
+   *
+   * @returns {Redis} Redis connection.
+   */
+  connection = () => {
+    if (!this.redis) throw new Error('REDIS_CONNECTION', 'No redis connection has been established');
+    return this.redis;
+  };
+
+  /**
+   * Create a stream publisher bound to this broker.
+   *
+   * @param {object} options    Publisher options (see Publisher constructor).
+   *
+   * @returns {Publisher} Publisher instance.
+   */
+  publisher = (options) => {
+    return new Publisher({ ...options, broker: this });
+  };
+
+  /**
+   * Create a stream subscriber bound to this broker.
+   *
+   * @param {object} options      Subscriber options (see Subscriber constructor).
+   * @param {function} [callback] Callback function to call when an error occurs.
+   *
+   * @returns {Subscriber} Subscriber instance.
+   */
+  subscriber = (options, callback) => {
+    return new Subscriber({ ...options, broker: this }, callback);
+  };
+
+  /**
+   * Create a scheduler of delayed messages bound to this broker.
+   *
+   * @param {object} options    Scheduler options (see Scheduler constructor).
+   *
+   * @returns {Scheduler} Scheduler instance.
+   */
+  scheduler = (options) => {
+    return new Scheduler({ ...options, broker: this });
+  };
+
+  /**
+   * Register the JSON Schema of the data of an action in a channel (see schemas.js).
+   * Publishers of the broker refuse invalid data and subscribers move invalid messages to the dead-letter stream.
+   *
+   * @param {string} channel  Channel name.
+   * @param {string} action   Action.
+   * @param {object} schema   JSON Schema.
+   */
+  registerSchema = (channel, action, schema) => {
+    this.schemas.register(channel, action, schema);
+  };
+
+  /**
+   * Get the state of a channel and its consumer groups.
+   *
+   * @param {string} channel Channel name.
+   *
+   * @returns {Promise<{
+   *  channel:string,
+   *  length:number,
+   *  firstId:string|null,
+   *  lastId:string,
+   *  groups:object[]
+   * }|null>} Promise object representing the channel information (see getGroupInfo for groups), or null if the channel does not exist.
+   */
+  getChannelInfo = async (channel) => {
+    const stream = await this.#xinfo('STREAM', channel);
+    if (!stream) return null;
+
+    const groups = await this.#xinfo('GROUPS', channel);
+
+    return {
+      channel,
+      length: stream.length,
+      firstId: stream['first-entry']?.[0] ?? null,
+      lastId: stream['last-generated-id'],
+      groups: await Promise.all(groups.map((group) => this.#parseGroupInfo(channel, group)))
+    };
+  };
+
+  /**
+   * Get the state of a consumer group: how many messages it has not read yet (lag) and how many it has not confirmed (pending).
+   *
+   * @param {string} channel  Channel name.
+   * @param {string} group    Consumer group.
+   *
+   * @returns {Promise<{
+   *  channel:string,
+   *  group:string,
+   *  consumers:number,
+   *  pending:number,
+   *  lastDeliveredId:string,
+   *  lag:number|null,
+   *  oldestPending:{
+   *    id:string,
+   *    consumer:string,
+   *    age:number,
+   *    idle:number,
+   *    deliveries:number
+   *  }|null
+   * }|null>} Promise object representing the group information, or null if the channel or the group do not exist.
+   *          Lag is null when Redis cannot determine it (e.g. Redis < 7 or after deleting entries).
+   *          Ages and idle times are in milliseconds.
+   */
+  getGroupInfo = async (channel, group) => {
+    const groups = await this.#xinfo('GROUPS', channel);
+    const info = groups?.find(({ name }) => name === group);
+
+    return info ? this.#parseGroupInfo(channel, info) : null;
+  };
+
+  /**
+   * Get the consumers of a consumer group.
+   *
+   * @param {string} channel  Channel name.
+   * @param {string} group    Consumer group.
+   *
+   * @returns {Promise<{
+   *  name:string,
+   *  pending:number,
+   *  idle:number,
+   *  inactive:number|null
+   * }[]>} Promise object representing the consumers (empty if the channel or the group do not exist).
+   *       Idle is the time since the last attempted interaction and inactive since the last successful one (Redis >= 7.2), in milliseconds.
+   */
+  getConsumers = async (channel, group) => {
+    const consumers = await this.#xinfo('CONSUMERS', channel, group);
+
+    return (consumers || []).map(({ name, pending, idle, inactive }) => ({ name, pending, idle, inactive: inactive ?? null }));
+  };
+
+  /**
+   * Reads rejected messages based on specified criteria (IDs, time range, and optionally filtered by action,
+   * original channel, rejecting group and consumer, or error text).
+   * If no filter-parameter is defined, reads all rejected messages.
+   * If no dead-letter stream is defined, reads every dead-letter stream written by subscribers.
+   *
+   * Messages are returned by the time they were rejected (messages rejected at once are ordered by their stream).
+   * When a `limit` is given, streams are read in chunks until the page is filled, and `nextCursor` is the position
+   * to pass as `cursor` to read the next page (null on the last page). Cursors are the last stream and ID read (`<stream>:<id>`).
+   *
+   * @param {string|string[]} [streams]    Dead-letter stream/s to read.
+   * @param {string[]} [ids]               Array of message IDs to read.
+   * @param {Date} [from]                  Start date/time for time range query.
+   * @param {Date} [to]                    End date/time for time range query.
+   * @param {string} [action]              Action type to filter messages.
+   * @param {string} [channel]             Original channel to filter messages.
+   * @param {string} [group]               Rejecting consumer group to filter messages.
+   * @param {string} [consumer]            Rejecting consumer ID to filter messages.
+   * @param {string|RegExp} [error]        Text contained in (or pattern matching) the error to filter messages.
+   * @param {number} [limit]               Maximum number of messages to read.
+   * @param {string} [cursor]              Read messages after this position (the `nextCursor` of the previous page) or ID.
+   *
+   * @returns {Promise<{ messages: {
+   *    id:string,
+   *    stream:string,
+   *    messageId:string|undefined,
+   *    action:string,
+   *    data:string,
+   *    headers:object|undefined,
+   *    group:string,
+   *    channel:string,
+   *    originalId:string|undefined,
+   *    error:string|undefined,
+   *    stack:string|undefined,
+   *    validationErrors:object[]|undefined,
+   *    attempts:number|undefined,
+   *    consumer:string|undefined,
+   *    firstSeenAt:number|undefined,
+   *    rejectedAt:number|undefined,
+   *  }[], count: number, nextCursor: string|null }>} Promise object representing the result, containing an array of messages,
+   *                                                     their count and the cursor of the next page.
+   */
+  readRejectedMessages = async ({ streams, ids, from, to, action, channel, group, consumer, error, limit, cursor } = {}) => {
+    this.connection();
+
+    const filters = { action, channel, group, consumer, error };
+    let messages = [];
+
+    for (const stream of await this.#deadLetterStreams(streams)) {
+      const range = this.#rejectedMessagesRange(stream, { from, to, cursor });
+      if (ids?.length) messages.push(...await this.#readRejectedMessagesByIds(stream, ids, range, filters));
+      // One more message than the limit is read, to know whether there is a next page.
+      else messages.push(...await this.#scanRejectedMessages(stream, range, filters, limit && limit + 1));
+    }
+    // Messages of several streams are sorted by the time they were rejected, and then by their stream.
+    messages.sort((a, b) => this.#compareIds(a.id, b.id) || this.#compareStreams(a.stream, b.stream));
+
+    let nextCursor = null;
+    if (limit && messages.length > limit) {
+      messages = messages.slice(0, limit);
+      const { stream, id } = messages[messages.length - 1];
+      nextCursor = `${stream}:${id}`;
+    }
+
+    return { messages, count: messages.length, nextCursor };
+  };
+
+  /**
+   * Reprocesses rejected messages based on specified criteria (IDs, time range, and optionally filtered by action).
+   * Any other filter of readRejectedMessages is supported as well.
+   * If 'messages' parameter is provided, it will overwrite the existing messages based on their IDs.
+   *
+   * Every message is republished and removed from its dead-letter stream atomically. Messages already reprocessed
+   * by a concurrent call are skipped, so they are never republished twice.
+   * In a dry run, nothing is written and succeeded messages are the ones that would be republished (with their channel and group).
+   * Messages whose data does not match the schema of their action (see registerSchema) fail instead of being republished.
+   *
+   * @param {[{
+   *  id:string,
+   *  action:string|undefined,
+   *  data:object|undefined,
+   *  group:string|undefined,
+   *  channel:string|undefined
+   * }]} [messages]                          Array of messages to overwrite current messages.
+   * @param {string|string[]} [streams]      Dead-letter stream/s to reprocess.
+   * @param {string[]} [ids]                 Array of message IDs to reprocess.
+   * @param {Date} [from]                    Start date/time for time range query.
+   * @param {Date} [to]                      End date/time for time range query.
+   * @param {string} [action]                Action type to filter messages.
+   * @param {number} [limit]                 Maximum number of messages to reprocess.
+   * @param {string} [cursor]                Reprocess messages after this position (see readRejectedMessages).
+   * @param {boolean} [dryRun=false]         Report the messages that would be republished without republishing them.
+   *
+   * @returns {Promise<{
+   *  succeeded: Array,
+   *  failed: Array,
+   *  skipped: Array,
+   *  nextCursor: string|null
+   * }>} Promise object representing the result, containing arrays of succeeded, failed and skipped (already reprocessed) messages.
+   */
+  reprocessRejectedMessages = async ({ messages, dryRun = false, ...filters } = {}) => {
+    const { messages: messagesToReprocess, nextCursor } = await this.readRejectedMessages(filters);
+    const redis = this.connection();
+    const succeeded = [];
+    const failed = [];
+    const skipped = [];
+
+    for (const message of messagesToReprocess) {
+      try {
+        const newMessage = messages?.find(({ id }) => id === message.id);
+        message.channel = message.channel || newMessage?.channel;
+        message.group = message.group || newMessage?.group;
+        message.data = newMessage?.data ? { ...message.data, ...newMessage.data } : message.data;
+
+        const { id, stream, channel } = message;
+        // Messages still invalid would be rejected again, so they are not reprocessed.
+        this.schemas.validate(channel, message.action, message.data);
+        const entry = encodeMessage(message);
+
+        if (!dryRun) {
+          // Send message to channel indicating the consumer group and delete it from its dead-letter stream at once
+          const republishedId = await redis.redismbReprocessRejected(stream, channel, id, '*', ...entry);
+          if (!republishedId) {
+            skipped.push(message);
+            continue;
+          }
+        }
+
+        succeeded.push(message);
+      } catch (err) {
+        this.logger.error(`Rejected message ${message.id} could not be reprocessed: ${err.message}`, {
+          status: 'FAILED',
+          channel: message.channel,
+          action: message.action,
+          id: message.id,
+          group: message.group,
+          error: err
+        });
+        failed.push([message, err.message]);
+      }
+    }
+
+    return { succeeded, failed, skipped, nextCursor };
+  };
+
+  /**
+   * Deletes rejected messages based on specified criteria (the same filters of readRejectedMessages).
+   * If no filter-parameter is defined, deletes all rejected messages.
+   *
+   * @param {object} [filters]    Filters of the messages to delete (see readRejectedMessages).
+   *
+   * @returns {Promise<{ count: number }>} Promise object representing the number of deleted messages.
+   */
+  deleteRejectedMessages = async (filters = {}) => {
+    let count = 0;
+
+    for await (const messages of this.#rejectedMessagesPages(filters)) {
+      count += await this.#deleteRejectedMessages(messages);
+    }
+
+    return { count };
+  };
+
+  /**
+   * Deletes the rejected messages that were rejected before a date.
+   *
+   * @param {Date} olderThan                Messages rejected before this date/time are deleted.
+   * @param {string|string[]} [streams]     Dead-letter stream/s to purge. All of them by default.
+   *
+   * @returns {Promise<{ count: number }>} Promise object representing the number of deleted messages.
+   */
+  purgeRejectedMessages = async ({ olderThan, streams } = {}) => {
+    if (!olderThan) throw new Error('MISSED_VALUE', 'No olderThan date provided');
+    const redis = this.connection();
+    let count = 0;
+
+    for (const stream of await this.#deadLetterStreams(streams)) {
+      // Entry IDs start with the time they were added, so older entries are trimmed by ID.
+      count += await redis.xtrim(stream, 'MINID', new Date(olderThan).getTime());
+    }
+
+    return { count };
+  };
+
+  /**
+   * Exports rejected messages as JSON Lines (one message per line) and deletes them once they are written.
+   * Messages are archived in pages, so large dead-letter streams are never loaded into memory at once.
+   *
+   * @param {string|Writable} destination   File path (appended to) or writable stream where messages are written.
+   * @param {object} [filters]              Filters of the messages to archive (see readRejectedMessages).
+   *
+   * @returns {Promise<{ count: number }>} Promise object representing the number of archived messages.
+   */
+  archiveRejectedMessages = async ({ destination, ...filters } = {}) => {
+    if (!destination) throw new Error('MISSED_VALUE', 'No archive destination provided');
+    this.connection();
+
+    const file = typeof destination === 'string' ? await open(destination, 'a') : null;
+    const write = file
+      ? (lines) => file.appendFile(lines)
+      : (lines) => new Promise((resolve, reject) => destination.write(lines, (err) => (err ? reject(err) : resolve())));
+    let count = 0;
+
+    try {
+      for await (const messages of this.#rejectedMessagesPages(filters)) {
+        if (!messages.length) continue;
+        // Messages are only deleted once they have been written.
+        await write(messages.map((message) => `${JSON.stringify(message)}\n`).join(''));
+        count += await this.#deleteRejectedMessages(messages);
+      }
+    } finally {
+      await file?.close();
+    }
+
+    return { count };
+  };
+
+  async * #rejectedMessagesPages ({ limit, cursor, ...filters }) {
+    do {
+      const page = await this.readRejectedMessages({ ...filters, limit: SCAN_COUNT, cursor });
+      yield page.messages;
+      cursor = page.nextCursor;
+    } while (cursor);
+  }
+
+  #deleteRejectedMessages = async (messages) => {
+    const idsByStream = {};
+    for (const { stream, id } of messages) (idsByStream[stream] ||= []).push(id);
+
+    const counts = await Promise.all(
+      Object.entries(idsByStream).map(([stream, ids]) => this.redis.xdel(stream, ...ids))
+    );
+    return counts.reduce((total, count) => total + count, 0);
+  };
+
+  #deadLetterStreams = async (streams) => {
+    if (streams) return [streams].flat();
+
+    const registered = await this.redis.smembers(DEAD_LETTERS_KEY);
+    return [...new Set([...registered.sort(), LEGACY_REJECTIONS])];
+  };
+
+  #rejectedMessagesRange = (stream, { from, to, cursor }) => {
+    let start = from ? `${new Date(from).getTime()}-0` : '-';
+    const end = to ? `${new Date(to).getTime()}-${Number.MAX_SAFE_INTEGER}` : '+';
+
+    if (cursor) {
+      const { stream: lastStream, id } = this.#parseCursor(cursor);
+      // The cursor is exclusive, so the last message of the previous page is not read again.
+      // Streams ordered after the last one read still have to read the messages rejected at the same time.
+      const exclusive = lastStream === undefined || this.#compareStreams(stream, lastStream) <= 0;
+      const comparison = start === '-' ? 1 : this.#compareIds(id, start);
+      if (comparison > 0 || (comparison === 0 && exclusive)) start = exclusive ? `(${id}` : id;
+    }
+
+    return { start, end };
+  };
+
+  #parseCursor = (cursor) => {
+    // Stream names may contain colons, but IDs never do. Cursors without a stream are just IDs.
+    const separator = cursor.lastIndexOf(':');
+    if (separator < 0) return { id: cursor };
+    return { stream: cursor.slice(0, separator), id: cursor.slice(separator + 1) };
+  };
+
+  #isInRange = (id, { start, end }) => {
+    const lower = start.replace('(', '');
+    // An exclusive start (cursor) must be strictly lower than the ID.
+    if (lower !== '-' && this.#compareIds(id, lower) < (start.startsWith('(') ? 1 : 0)) return false;
+    return end === '+' || this.#compareIds(id, end) <= 0;
+  };
+
+  #readRejectedMessagesByIds = async (stream, ids, range, filters) => {
+    const messages = await Promise.all(
+      ids.filter((id) => this.#isInRange(id, range)).map(async (id) => {
+        const [message] = await this.#readRejectedMessages(stream, id, id);
+        return message;
+      })
+    );
+    return messages.filter((message) => !!message && this.#matchesFilters(message, filters));
+  };
+
+  #scanRejectedMessages = async (stream, { start, end }, filters, limit) => {
+    const messages = [];
+    const count = Math.max(limit || 0, SCAN_COUNT);
+
+    while (!limit || messages.length < limit) {
+      const records = await this.#readRejectedMessages(stream, start, end, count);
+      messages.push(...records.filter((message) => this.#matchesFilters(message, filters)));
+
+      if (records.length < count) break;
+      start = `(${records[records.length - 1].id}`;
+    }
+
+    return limit ? messages.slice(0, limit) : messages;
+  };
+
+  #readRejectedMessages = async (stream, start, end, count) => {
+    const records = count
+      ? await this.redis.xrange(stream, start, end, 'COUNT', count)
+      : await this.redis.xrange(stream, start, end);
+
+    return records.map((record) => this.#parseRejectedMessage(stream, record));
+  };
+
+  #matchesFilters = (message, { action, channel, group, consumer, error }) => {
+    if (action && message.action !== action) return false;
+    if (channel && message.channel !== channel) return false;
+    if (group && message.group !== group) return false;
+    if (consumer && message.consumer !== consumer) return false;
+    return !error || this.#matchesError(message, error);
+  };
+
+  #compareIds = (a, b) => {
+    const [aTime, aSequence] = a.split('-').map(Number);
+    const [bTime, bSequence] = b.split('-').map(Number);
+    return aTime - bTime || aSequence - bSequence;
+  };
+
+  #compareStreams = (a, b) => {
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+  };
+
+  #xinfo = async (subcommand, ...args) => {
+    let info;
+    try {
+      info = await this.connection().xinfo(subcommand, ...args);
+    } catch (err) {
+      // Missing channels and groups are reported as empty results.
+      if (/no such key|NOGROUP/i.test(err.message)) return null;
+      throw err;
+    }
+
+    // XINFO replies are lists of field names and values.
+    return subcommand === 'STREAM' ? this.#toObject(info) : info.map(this.#toObject);
+  };
+
+  #toObject = (values) => {
+    const object = {};
+    for (let i = 0; i < values.length; i += 2) object[values[i]] = values[i + 1];
+    return object;
+  };
+
+  #parseGroupInfo = async (channel, group) => {
+    let oldestPending = null;
+    if (group.pending) {
+      // Pending entries are sorted by ID, so the first one is the oldest.
+      const [oldest] = await this.redis.xpending(channel, group.name, '-', '+', 1);
+      if (oldest) {
+        const [id, consumer, idle, deliveries] = oldest;
+        oldestPending = { id, consumer, age: Date.now() - Number(id.split('-')[0]), idle, deliveries };
+      }
+    }
+
+    return {
+      channel,
+      group: group.name,
+      consumers: group.consumers,
+      pending: group.pending,
+      lastDeliveredId: group['last-delivered-id'],
+      lag: group.lag ?? null,
+      oldestPending
+    };
+  };
+
+  #parseRejectedMessage = (stream, [id, values]) => {
+    if (!isEnvelope(values)) {
+      // Legacy positional rejection: action, JSON data, rejecting group and original channel.
+      return {
+        id,
+        stream,
+        action: values[0],
+        data: JSON.parse(values[1]),
+        group: values[2],
+        channel: values[3]
+      };
+    }
+
+    const { fields, groups, ...message } = decodeMessage(values);
+    return {
+      id,
+      stream,
+      ...message,
+      channel: fields.channel,
+      originalId: fields.originalId,
+      error: fields.error,
+      stack: fields.stack,
+      validationErrors: fields.validationErrors && JSON.parse(fields.validationErrors),
+      attempts: fields.attempts && Number(fields.attempts),
+      consumer: fields.consumer,
+      firstSeenAt: fields.firstSeenAt && Number(fields.firstSeenAt),
+      rejectedAt: fields.rejectedAt && Number(fields.rejectedAt)
+    };
+  };
+
+  #matchesError = ({ error }, filter) => {
+    if (!error) return false;
+    return filter instanceof RegExp ? filter.test(error) : error.includes(filter);
+  };
+}
+
+/**
+ * Create a new broker and establish its redis connection.
+ *
+ * @param {string} redisUri   Redis uri.
+ * @param {number} [ttl]      Seconds waiting until Redis is connected.
+ * @param {object} [options]  Logger options (see bootstrap).
+ *
+ * @returns {Promise<RedisMessageBroker>} Promise object representing the connected broker.
+ */
+export async function createBroker (redisUri, ttl, options) {
+  const broker = new RedisMessageBroker();
+  await broker.bootstrap(redisUri, ttl, options);
+  return broker;
+}
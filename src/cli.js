@@ -0,0 +1,328 @@
+import { parseArgs } from 'node:util';
+
+import redismb, { defaultBroker } from './redismb.js';
+import Publisher from './publisher.js';
+import { decodeMessage } from './message.js';
+
+const USAGE = `Usage: redismb [--uri <redis-uri>] [--json] <command> [options]
+
+Commands:
+  channels                            List channels with their length and consumer groups
+  channel <channel>                   Inspect a channel
+  groups <channel>                    List the consumer groups of a channel
+  pending <channel> <group>           Show pending messages per consumer of a group
+  rejected read                       Read rejected messages
+  rejected reprocess                  Reprocess rejected messages (--dry-run to only report them)
+  rejected delete                     Delete rejected messages (some filter or --all is required)
+  publish <channel> <action> [data]   Publish a test message (data is parsed as JSON when possible)
+  tail <channel>                      Print the new messages of a channel until interrupted
+
+Options:
+  -u, --uri <redis-uri>     Redis uri (REDIS_URI environment variable or redis://localhost:6379 by default)
+      --json                Print JSON instead of tables
+  -h, --help                Show this help
+
+Rejected messages filters:
+  --stream <stream>         Dead-letter stream (repeatable, every dead-letter stream by default)
+  --id <id>                 Rejected message ID (repeatable)
+  --from <date>             Start date (ISO date or milliseconds since epoch)
+  --to <date>               End date (ISO date or milliseconds since epoch)
+  --action <action>         Action
+  --channel <channel>       Original channel
+  --group <group>           Rejecting consumer group (target group when publishing)
+  --consumer <consumer>     Rejecting consumer
+  --error <text>            Text contained in the error
+  --limit <number>          Maximum number of messages
+  --cursor <cursor>         Read messages after this cursor (nextCursor) or ID
+  --all                     Delete every rejected message (rejected delete without filters)
+`;
+
+const GROUP_COLUMNS = ['group', 'consumers', 'pending', 'lag', 'lastDeliveredId', 'oldestPendingAge'];
+
+const OPTIONS = {
+  uri: { type: 'string', short: 'u' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  stream: { type: 'string', multiple: true },
+  id: { type: 'string', multiple: true },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  action: { type: 'string' },
+  channel: { type: 'string' },
+  group: { type: 'string' },
+  consumer: { type: 'string' },
+  error: { type: 'string' },
+  limit: { type: 'string' },
+  cursor: { type: 'string' },
+  all: { type: 'boolean' },
+  'dry-run': { type: 'boolean' }
+};
+
+/**
+ * Run a command of the command line interface.
+ *
+ * @param {string[]} argv               Command line arguments (without node and script paths).
+ * @param {{
+ *  stdout:Writable|undefined,
+ *  stderr:Writable|undefined,
+ *  env:object|undefined
+ * }} [io]                              Output streams and environment variables.
+ *
+ * @returns {Promise<number>} Promise object representing the exit code.
+ */
+export async function run (argv, { stdout = process.stdout, stderr = process.stderr, env = process.env } = {}) {
+  let values, positionals;
+  try {
+    ({ values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true }));
+  } catch (err) {
+    stderr.write(`${err.message}\n\n${USAGE}`);
+    return 1;
+  }
+
+  const [command, ...args] = positionals;
+  if (values.help || !command) {
+    stdout.write(USAGE);
+    return values.help ? 0 : 1;
+  }
+  if (!COMMANDS[command]) {
+    stderr.write(`Unknown command: ${command}\n\n${USAGE}`);
+    return 1;
+  }
+
+  const print = (result, columns) => {
+    stdout.write(values.json ? `${JSON.stringify(result, null, 2)}\n` : `${formatTable(result, columns)}\n`);
+  };
+
+  try {
+    // Arguments are checked before connecting, so mistakes are reported right away.
+    CHECKS[command]?.(args, values);
+    // Only warnings and errors are logged, so they do not get mixed with the command output.
+    await redismb.bootstrap(values.uri || env.REDIS_URI || 'redis://localhost:6379', 10, { logLevel: 'warn' });
+    await COMMANDS[command](args, values, { print, stdout });
+    return 0;
+  } catch (err) {
+    stderr.write(`Error: ${err.message}\n`);
+    return 1;
+  } finally {
+    if (defaultBroker.redis?.status === 'ready') await redismb.stop();
+    else defaultBroker.redis?.disconnect();
+  }
+}
+
+const COMMANDS = {
+  channels: async (args, options, { print }) => {
+    const redis = defaultBroker.connection();
+    const channels = [];
+    let cursor = '0';
+    do {
+      const [next, keys] = await redis.scan(cursor, 'TYPE', 'stream', 'COUNT', 1000);
+      channels.push(...keys);
+      cursor = next;
+    } while (cursor !== '0');
+
+    const infos = await Promise.all(channels.sort().map((channel) => redismb.getChannelInfo(channel)));
+    // Channels deleted since they were listed are left out.
+    const rows = infos.filter((info) => !!info).map(({ groups, ...info }) => ({ ...info, groups: groups.length }));
+    print(rows, ['channel', 'length', 'lastId', 'groups']);
+  },
+
+  channel: async ([channel], options, { print }) => {
+    const info = await redismb.getChannelInfo(channel);
+    if (!info) throw new Error(`Channel ${channel} does not exist`);
+    const { groups, ...stream } = info;
+    if (options.json) return print(info);
+    print(stream);
+    print(groups.map(toGroupRow), GROUP_COLUMNS);
+  },
+
+  groups: async ([channel], options, { print }) => {
+    const info = await redismb.getChannelInfo(channel);
+    if (!info) throw new Error(`Channel ${channel} does not exist`);
+    print(options.json ? info.groups : info.groups.map(toGroupRow), GROUP_COLUMNS);
+  },
+
+  pending: async ([channel, group], options, { print }) => {
+    const info = await redismb.getGroupInfo(channel, group);
+    if (!info) throw new Error(`Group ${group} does not exist in channel ${channel}`);
+    const consumers = await redismb.getConsumers(channel, group);
+    if (options.json) return print({ ...info, consumers });
+    print(consumers, ['name', 'pending', 'idle', 'inactive']);
+    if (info.oldestPending) print(info.oldestPending);
+  },
+
+  rejected: async ([operation], options, { print }) => {
+    const filters = toFilters(options);
+
+    if (operation === 'read') {
+      const { messages, count, nextCursor } = await redismb.readRejectedMessages(filters);
+      if (options.json) return print({ messages, count, nextCursor });
+      print(messages.map((message) => ({
+        ...message,
+        rejectedAt: message.rejectedAt && new Date(message.rejectedAt).toISOString()
+      })), ['id', 'stream', 'channel', 'group', 'action', 'attempts', 'error', 'rejectedAt']);
+      if (nextCursor) print({ nextCursor });
+      return;
+    }
+
+    if (operation === 'reprocess') {
+      const { succeeded, failed, skipped, nextCursor } = await redismb.reprocessRejectedMessages({
+        ...filters,
+        dryRun: options['dry-run']
+      });
+      if (options.json) return print({ succeeded, failed, skipped, nextCursor });
+      const status = options['dry-run'] ? 'WOULD_REPROCESS' : 'REPROCESSED';
+      print([
+        ...succeeded.map((message) => ({ status, ...message })),
+        ...skipped.map((message) => ({ status: 'SKIPPED', ...message })),
+        ...failed.map(([message, error]) => ({ status: 'FAILED', ...message, error }))
+      ], ['status', 'id', 'stream', 'channel', 'group', 'action', 'error']);
+      if (nextCursor) print({ nextCursor });
+      return;
+    }
+
+    if (operation === 'delete') {
+      return print(await redismb.deleteRejectedMessages(filters));
+    }
+  },
+
+  publish: async ([channel, action, data], options, { print }) => {
+    const publisher = new Publisher({ channel, producerId: 'redismb-cli' });
+    const id = await publisher.publish(action, parseData(data), { group: options.group });
+    print({ channel, action, id });
+  },
+
+  tail: async ([channel], options, { stdout }) => {
+    // A dedicated connection is used, so blocking reads do not delay other commands.
+    const redis = defaultBroker.connection().duplicate();
+    const interruption = new AbortController();
+    const stop = () => interruption.abort();
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+
+    try {
+      // Messages are read after the last one of the channel, so none is lost between blocking reads.
+      const [last] = await redis.xrevrange(channel, '+', '-', 'COUNT', 1);
+      let lastId = last?.[0] || '0-0';
+      while (!interruption.signal.aborted) {
+        const streams = await redis.xread('BLOCK', 1000, 'STREAMS', channel, lastId);
+        for (const [id, values] of streams?.[0][1] || []) {
+          lastId = id;
+          const { fields, ...message } = decodeMessage(values);
+          // One line per message, so the output can be piped (JSON Lines with --json).
+          stdout.write(options.json
+            ? `${JSON.stringify({ id, ...message })}\n`
+            : `${id}  ${message.action}  ${formatValue(message.data)}\n`);
+        }
+      }
+    } finally {
+      process.off('SIGINT', stop);
+      process.off('SIGTERM', stop);
+      redis.disconnect();
+    }
+  }
+};
+
+// Argument checks of the commands that have any, run before connecting to Redis.
+const CHECKS = {
+  channel: ([channel]) => required({ channel }),
+  groups: ([channel]) => required({ channel }),
+  pending: ([channel, group]) => required({ channel, group }),
+  rejected: ([operation], options) => {
+    if (!['read', 'reprocess', 'delete'].includes(operation)) {
+      throw new Error(`Unknown rejected operation: ${operation} (read, reprocess or delete)`);
+    }
+    const filters = toFilters(options);
+    if (operation === 'delete') {
+      // Limit and cursor do not narrow the deleted messages, so they are not enough to delete anything.
+      const { limit, cursor, ...criteria } = filters;
+      if (!options.all && !Object.values(criteria).some((value) => value !== undefined)) {
+        throw new Error('Deleting every rejected message requires --all (or some filter)');
+      }
+    }
+  },
+  publish: ([channel, action]) => required({ channel, action }),
+  tail: ([channel]) => required({ channel })
+};
+
+/**
+ * Format rows (or a single object) as a plain text table with aligned columns.
+ *
+ * @param {object|object[]} rows  Rows to format. A single object is formatted as a key/value table.
+ * @param {string[]} [columns]    Columns to show. All the keys of the rows by default.
+ *
+ * @returns {string} Formatted table.
+ */
+export function formatTable (rows, columns) {
+  if (!Array.isArray(rows)) {
+    return formatTable(Object.entries(rows).map(([key, value]) => ({ key, value })), ['key', 'value']);
+  }
+  if (!rows.length) return '(no results)';
+
+  columns ||= [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  const cells = [
+    columns.map((column) => column.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()),
+    ...rows.map((row) => columns.map((column) => formatValue(row[column])))
+  ];
+  const widths = columns.map((_, i) => Math.max(...cells.map((line) => line[i].length)));
+
+  return cells.map((line) => line.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd()).join('\n');
+}
+
+/**
+ * Build the rejected messages filters from command line options.
+ *
+ * @param {object} options  Parsed command line options.
+ *
+ * @returns {object} Filters of readRejectedMessages.
+ *
+ * @throws {Error} If the limit is not a positive integer.
+ */
+export function toFilters ({ stream, id, from, to, action, channel, group, consumer, error, limit, cursor }) {
+  return {
+    streams: stream,
+    ids: id,
+    from: from && toDate(from),
+    to: to && toDate(to),
+    action,
+    channel,
+    group,
+    consumer,
+    error,
+    limit: limit === undefined ? undefined : toLimit(limit),
+    cursor
+  };
+}
+
+function toDate (value) {
+  return new Date(isNaN(Number(value)) ? value : Number(value));
+}
+
+function toLimit (value) {
+  if (!/^[1-9]\d*$/.test(value)) throw new Error(`Invalid --limit: ${value} (a positive integer is expected)`);
+  return Number(value);
+}
+
+function parseData (data) {
+  if (data === undefined) return {};
+  try {
+    return JSON.parse(data);
+  } catch {
+    return data;
+  }
+}
+
+function formatValue (value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function toGroupRow ({ oldestPending, ...group }) {
+  return { ...group, oldestPendingAge: oldestPending?.age };
+}
+
+function required (args) {
+  for (const [name, value] of Object.entries(args)) {
+    if (!value) throw new Error(`Missing <${name}> argument`);
+  }
+}
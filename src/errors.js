@@ -0,0 +1,50 @@
+/**
+ * Error thrown by subscriber callbacks when processing a message will never succeed (e.g. validation failures).
+ * The message is moved to the rejections stream right away, skipping the remaining retries.
+ *
+ * Any error with a `retryable` property set to false is handled the same way.
+ */
+export class NonRetryableError extends Error {
+  /**
+   * @constructor
+   *
+   * @param {string} message      Error message.
+   * @param {object} [options]    Error options (e.g. `cause`).
+   */
+  constructor (message, options) {
+    super(message, options);
+    this.name = 'NonRetryableError';
+    this.retryable = false;
+  }
+}
+
+/**
+ * Error thrown when the data of a message does not match the JSON Schema registered for its channel and action (see schemas.js).
+ * Publishers throw it instead of publishing the message and subscribers reject the message with it, skipping the retries.
+ */
+export class SchemaValidationError extends NonRetryableError {
+  /**
+   * @constructor
+   *
+   * @param {string} message                                            Error message.
+   * @param {{ path:string, message:string, params:object }[]} errors   Validation errors (`path` is a JSON Pointer to the invalid value).
+   */
+  constructor (message, errors) {
+    super(`${message}: ${errors.map(({ path, message }) => `${path || '/'} ${message}`).join(', ')}`);
+    this.name = 'SchemaValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Dispositions that subscriber callbacks can return to decide what happens with a message.
+ *
+ *  - `ack`:    Confirm the message (same as returning nothing).
+ *  - `retry`:  Leave the message pending, so it is retried according to the retry policy.
+ *  - `reject`: Move the message to the rejections stream right away.
+ */
+export const Disposition = {
+  ACK: 'ack',
+  RETRY: 'retry',
+  REJECT: 'reject'
+};
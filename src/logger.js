@@ -0,0 +1,56 @@
+// Log levels from the most to the least verbose. 'silent' disables logging.
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+/**
+ * Logger writing to the console in the free-text format used when no logger is provided.
+ */
+const consoleLogger = {
+  debug: ({ message, error }) => console.debug(...format(message, error)),
+  info: ({ message, error }) => console.info(...format(message, error)),
+  warn: ({ message, error }) => console.warn(...format(message, error)),
+  error: ({ message, error }) => console.error(...format(message, error))
+};
+
+/**
+ * Create the logger used by brokers, publishers, subscribers and schedulers.
+ *
+ * Any object with `debug`, `info`, `warn` and `error` methods (e.g. pino or winston loggers) can be provided.
+ * Each method is called with a single structured record: `{ message, status, channel, action, id, group, clientId, ... }`
+ * (fields that do not apply are left out, and errors are provided as `error`).
+ *
+ * @param {object} [logger]        Logger to write to. The console by default.
+ * @param {string} [level='info']  Minimum level written: 'debug', 'info', 'warn', 'error' or 'silent'.
+ *
+ * @returns {{
+ *  debug:function,
+ *  info:function,
+ *  warn:function,
+ *  error:function
+ * }} Logger whose methods look like: (message, fields) => {...}
+ */
+export function createLogger (logger = consoleLogger, level = 'info') {
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error('INVALID_VALUE', `Log level must be one of ${LOG_LEVELS.join(', ')}`);
+  }
+  const threshold = LOG_LEVELS.indexOf(level);
+
+  return Object.fromEntries(
+    LOG_LEVELS.slice(0, -1).map((name, index) => [
+      name,
+      (message, fields = {}) => {
+        if (index < threshold) return;
+        const record = Object.fromEntries(
+          Object.entries({ message, ...fields }).filter(([, value]) => value !== undefined)
+        );
+        // Loggers without a method for the level (e.g. no debug) fall back to info.
+        const write = logger[name] || logger.info;
+        write?.call(logger, record);
+      }
+    ])
+  );
+}
+
+function format (message, error) {
+  const line = `[${new Date().toISOString()}] ${message}`;
+  return error ? [line, error] : [line];
+}
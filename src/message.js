@@ -0,0 +1,213 @@
+import { randomUUID } from 'node:crypto';
+
+/**
+ * Version of the named-field envelope written to stream entries.
+ */
+export const ENVELOPE_VERSION = '1';
+
+/**
+ * Content type of messages whose data is JSON-encoded.
+ */
+export const JSON_CONTENT_TYPE = 'application/json';
+
+/**
+ * Named fields of a stream entry.
+ *
+ *  - `envelope`:       Envelope version. Always the first field, so that envelopes can be told apart from legacy positional entries.
+ *  - `id`:             Unique message id (independent of the stream entry id, so it survives republishing).
+ *  - `action`:         Action to perform.
+ *  - `data`:           Message payload, encoded according to its content type.
+ *  - `contentType`:    Content type of the payload (`application/json` by default).
+ *  - `version`:        Schema version of the payload.
+ *  - `producerId`:     Id of the publisher that produced the message.
+ *  - `correlationId`:  Id correlating the message with a request or another message.
+ *  - `timestamp`:      Milliseconds since epoch at which the message was produced.
+ *  - `headers`:        JSON object of arbitrary user headers.
+ *  - `group`:          Unique consumer group that should consume the message.
+ *  - `groups`:         JSON array of consumer groups that should consume the message.
+ *
+ * Messages without any of the `group` or `groups` fields are consumed by every consumer group subscribed to the channel.
+ *
+ * Legacy entries are positional: `action` as first field name, JSON `data` as its value and then optional named fields
+ * (such as `group`). They are still read, so that existing streams keep flowing during migration.
+ */
+export const FIELDS = {
+  ENVELOPE: 'envelope',
+  ID: 'id',
+  ACTION: 'action',
+  DATA: 'data',
+  CONTENT_TYPE: 'contentType',
+  VERSION: 'version',
+  PRODUCER_ID: 'producerId',
+  CORRELATION_ID: 'correlationId',
+  TIMESTAMP: 'timestamp',
+  HEADERS: 'headers',
+  GROUP: 'group',
+  GROUPS: 'groups'
+};
+
+/**
+ * Build the stream entry fields of a message envelope.
+ *
+ * @param {{
+ *  messageId:string|undefined,
+ *  action:string,
+ *  data:any,
+ *  contentType:string|undefined,
+ *  version:string|undefined,
+ *  producerId:string|undefined,
+ *  correlationId:string|undefined,
+ *  timestamp:number|undefined,
+ *  headers:object|undefined,
+ *  group:string|string[]|undefined
+ * }} message                 Message to encode.
+ * @param {object} [fields]   Additional named fields to write after the envelope.
+ *
+ * @returns {string[]} Stream entry fields (flat list of field names and values).
+ */
+export function encodeMessage (
+  { messageId, action, data, contentType = JSON_CONTENT_TYPE, version = '1', producerId, correlationId, timestamp, headers, group },
+  fields = {}
+) {
+  const entry = {
+    [FIELDS.ENVELOPE]: ENVELOPE_VERSION,
+    [FIELDS.ID]: messageId || randomUUID(),
+    [FIELDS.ACTION]: action,
+    [FIELDS.DATA]: contentType === JSON_CONTENT_TYPE ? JSON.stringify(data) : String(data),
+    [FIELDS.CONTENT_TYPE]: contentType,
+    [FIELDS.VERSION]: version,
+    [FIELDS.PRODUCER_ID]: producerId,
+    [FIELDS.CORRELATION_ID]: correlationId,
+    [FIELDS.TIMESTAMP]: timestamp ?? Date.now(),
+    [FIELDS.HEADERS]: headers && Object.keys(headers).length ? JSON.stringify(headers) : undefined,
+    ...fields
+  };
+
+  return [
+    ...Object.entries(entry).filter(([, value]) => value !== undefined && value !== null).flat().map(String),
+    ...targetFields(group)
+  ];
+}
+
+/**
+ * Read a stream entry, either a named-field envelope or a legacy positional entry.
+ *
+ * @param {string[]} values Stream entry values (flat list of field names and values).
+ *
+ * @returns {{
+ *  messageId:string|undefined,
+ *  action:string,
+ *  data:any,
+ *  contentType:string,
+ *  version:string|undefined,
+ *  producerId:string|undefined,
+ *  correlationId:string|undefined,
+ *  timestamp:number|undefined,
+ *  headers:object,
+ *  group:string|undefined,
+ *  groups:string[]|undefined,
+ *  fields:object
+ * }} Decoded message. `fields` holds every named field of the entry.
+ */
+export function decodeMessage (values) {
+  if (!isEnvelope(values)) {
+    const fields = namedFields(values, 2);
+    const groups = targetGroups(fields);
+    return {
+      action: values[0],
+      data: decodeData(values[1], JSON_CONTENT_TYPE),
+      contentType: JSON_CONTENT_TYPE,
+      headers: {},
+      group: groups?.length === 1 ? groups[0] : undefined,
+      groups,
+      fields
+    };
+  }
+
+  const fields = namedFields(values);
+  const contentType = fields[FIELDS.CONTENT_TYPE] || JSON_CONTENT_TYPE;
+  const groups = targetGroups(fields);
+  return {
+    messageId: fields[FIELDS.ID],
+    action: fields[FIELDS.ACTION],
+    data: decodeData(fields[FIELDS.DATA], contentType),
+    contentType,
+    version: fields[FIELDS.VERSION],
+    producerId: fields[FIELDS.PRODUCER_ID],
+    correlationId: fields[FIELDS.CORRELATION_ID],
+    timestamp: fields[FIELDS.TIMESTAMP] ? +fields[FIELDS.TIMESTAMP] : undefined,
+    headers: decodeData(fields[FIELDS.HEADERS], JSON_CONTENT_TYPE) || {},
+    group: groups?.length === 1 ? groups[0] : undefined,
+    groups,
+    fields
+  };
+}
+
+/**
+ * Check whether a stream entry is a named-field envelope (as opposed to a legacy positional entry).
+ *
+ * @param {string[]} values Stream entry values (flat list of field names and values).
+ *
+ * @returns {boolean} True if the stream entry is an envelope.
+ */
+export function isEnvelope (values) {
+  return values[0] === FIELDS.ENVELOPE;
+}
+
+/**
+ * Build the stream entry fields that address a message to specific consumer groups.
+ *
+ * @param {string|string[]} [group] Consumer group or list of consumer groups the message is addressed to.
+ *
+ * @returns {string[]} Stream entry fields (flat list of field names and values).
+ */
+export function targetFields (group) {
+  const groups = [].concat(group ?? []).filter((group) => !!group);
+
+  if (!groups.length) return [];
+  if (groups.length === 1) return [FIELDS.GROUP, groups[0]];
+  return [FIELDS.GROUPS, JSON.stringify(groups)];
+}
+
+/**
+ * Read the named fields of a stream entry.
+ *
+ * @param {string[]} values   Stream entry values (flat list of field names and values).
+ * @param {number} [start=0]  Index of the first named field (legacy entries start with the positional `action` and `data` pair).
+ *
+ * @returns {object} Named fields.
+ */
+export function namedFields (values, start = 0) {
+  const fields = {};
+  for (let i = start; i < values.length - 1; i += 2) {
+    fields[values[i]] = values[i + 1];
+  }
+  return fields;
+}
+
+/**
+ * Get the consumer groups a stream entry is addressed to.
+ *
+ * @param {object} fields Named fields of the stream entry.
+ *
+ * @returns {string[]|undefined} Consumer groups, or undefined if the message is not addressed to specific groups.
+ */
+export function targetGroups (fields) {
+  if (fields[FIELDS.GROUPS]) {
+    try {
+      return [].concat(JSON.parse(fields[FIELDS.GROUPS]));
+    } catch (_) {
+      return [fields[FIELDS.GROUPS]];
+    }
+  }
+  if (fields[FIELDS.GROUP]) return [fields[FIELDS.GROUP]];
+}
+
+function decodeData (value, contentType) {
+  if (value === undefined || contentType !== JSON_CONTENT_TYPE) return value;
+  try {
+    return JSON.parse(value);
+  } catch (_) {
+    return value;
+  }
+}
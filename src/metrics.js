@@ -0,0 +1,166 @@
+/**
+ * Metrics recorded by publishers and subscribers.
+ *
+ * Any object implementing `increment(name, labels, value)` (counters) and `observe(name, labels, value)` (histograms)
+ * can be provided as `metrics` option, so metrics can be sent to any monitoring system.
+ * Labels are `channel`, `action` and, for subscribers, `group`.
+ */
+export const METRICS = {
+  PUBLISHED: 'redismb_messages_published_total',
+  RECEIVED: 'redismb_messages_received_total',
+  CONFIRMED: 'redismb_messages_confirmed_total',
+  SKIPPED: 'redismb_messages_skipped_total',
+  REJECTED: 'redismb_messages_rejected_total',
+  RECLAIMED: 'redismb_messages_reclaimed_total',
+  HANDLER_ERRORS: 'redismb_handler_errors_total',
+  HANDLER_DURATION: 'redismb_handler_duration_seconds'
+};
+
+const HELP = {
+  [METRICS.PUBLISHED]: 'Messages published (or scheduled) by publishers.',
+  [METRICS.RECEIVED]: 'Messages received by subscribers to be processed.',
+  [METRICS.CONFIRMED]: 'Messages processed and confirmed by subscribers.',
+  [METRICS.SKIPPED]: 'Messages skipped by subscribers (addressed to other groups or already processed).',
+  [METRICS.REJECTED]: 'Messages moved to dead-letter streams by subscribers.',
+  [METRICS.RECLAIMED]: 'Pending messages claimed again by subscribers to be retried.',
+  [METRICS.HANDLER_ERRORS]: 'Errors thrown by subscriber callbacks.',
+  [METRICS.HANDLER_DURATION]: 'Duration of subscriber callbacks in seconds.'
+};
+
+// Prometheus default buckets (in seconds).
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Metrics recorder that discards everything, used when no metrics are provided.
+ */
+export const noopMetrics = {
+  increment () {},
+  observe () {}
+};
+
+/**
+ * Metrics recorder keeping counters and histograms in memory and exporting them in Prometheus text format,
+ * so they can be scraped without any external service.
+ */
+export class PrometheusMetrics {
+  #counters = new Map();
+  #histograms = new Map();
+
+  /**
+   * Constructor for creating a Prometheus metrics recorder.
+   *
+   * @constructor
+   *
+   * @param {number[]} [buckets]  Upper bounds of the histogram buckets, in seconds.
+   */
+  constructor ({ buckets = DEFAULT_BUCKETS } = {}) {
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  /**
+   * Increment a counter.
+   *
+   * @param {string} name       Metric name.
+   * @param {object} [labels]   Metric labels.
+   * @param {number} [value=1]  Increment.
+   */
+  increment = (name, labels = {}, value = 1) => {
+    const series = this.#series(this.#counters, name, labels, () => ({ value: 0 }));
+    series.value += value;
+  };
+
+  /**
+   * Observe a value of a histogram.
+   *
+   * @param {string} name       Metric name.
+   * @param {object} [labels]   Metric labels.
+   * @param {number} value      Observed value.
+   */
+  observe = (name, labels = {}, value) => {
+    const series = this.#series(this.#histograms, name, labels, () => ({
+      buckets: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+    this.buckets.forEach((bucket, i) => {
+      if (value <= bucket) series.buckets[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  };
+
+  /**
+   * Export every metric in Prometheus text format.
+   *
+   * @returns {string} Metrics in Prometheus text format.
+   */
+  metrics = () => {
+    const lines = [];
+
+    for (const [name, series] of this.#counters) {
+      lines.push(...this.#header(name, 'counter'));
+      for (const { labels, value } of series.values()) lines.push(`${name}${this.#labels(labels)} ${value}`);
+    }
+
+    for (const [name, series] of this.#histograms) {
+      lines.push(...this.#header(name, 'histogram'));
+      for (const { labels, buckets, sum, count } of series.values()) {
+        this.buckets.forEach((bucket, i) => {
+          lines.push(`${name}_bucket${this.#labels({ ...labels, le: bucket })} ${buckets[i]}`);
+        });
+        lines.push(`${name}_bucket${this.#labels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${this.#labels(labels)} ${sum}`);
+        lines.push(`${name}_count${this.#labels(labels)} ${count}`);
+      }
+    }
+
+    return lines.length ? `${lines.join('\n')}\n` : '';
+  };
+
+  /**
+   * HTTP request handler serving the metrics, e.g. `http.createServer(metrics.handler).listen(9464)`.
+   *
+   * @param {IncomingMessage} req   HTTP request.
+   * @param {ServerResponse} res    HTTP response.
+   */
+  handler = (req, res) => {
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+    res.end(this.metrics());
+  };
+
+  /**
+   * Remove every recorded metric.
+   */
+  reset = () => {
+    this.#counters.clear();
+    this.#histograms.clear();
+  };
+
+  #series = (metrics, name, labels, create) => {
+    if (!metrics.has(name)) metrics.set(name, new Map());
+    const series = metrics.get(name);
+
+    const definedLabels = Object.fromEntries(
+      Object.entries(labels).filter(([, value]) => value !== undefined && value !== null)
+    );
+    const key = JSON.stringify(Object.entries(definedLabels).sort());
+    if (!series.has(key)) series.set(key, { labels: definedLabels, ...create() });
+
+    return series.get(key);
+  };
+
+  #header = (name, type) => {
+    return [`# HELP ${name} ${HELP[name] || name}`, `# TYPE ${name} ${type}`];
+  };
+
+  #labels = (labels) => {
+    const pairs = Object.entries(labels).map(([key, value]) => `${key}="${this.#escape(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+  };
+
+  #escape = (value) => {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  };
+}
@@ -1,34 +1,242 @@
-import { redis } from './redismb.js';
+import { randomUUID } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+import { defaultBroker } from './redismb.js';
+import { encodeMessage } from './message.js';
+import { scheduledKey } from './scheduler.js';
+import { METRICS, noopMetrics } from './metrics.js';
+import { createLogger } from './logger.js';
+import { startProducerSpan } from './tracing.js';
+
+export default class Publisher extends EventEmitter {
+  #logger;
 
-export default class Publisher {
   /**
    * Constructor for creating a stream publisher.
    *
+   * Publishers emit a 'published' event with each message (its action, data and publishing options) along with
+   * its channel, id and status ('PUBLISHED', 'SCHEDULED' or 'DUPLICATED'),
+   * and an 'error' event with the error and the message when a message cannot be published.
+   *
    * @constructor
    *
-   * @param {string} channel          Single channel name to connect to.
-   * @param {number} [maxLength=5000] Maximum amount of held messages, both read and unread.
+   * @param {string} channel                   Single channel name to connect to.
+   * @param {number} [maxLength=5000]          Maximum amount of held messages, both read and unread.
+   * @param {string} [producerId]              The publisher ID written in every message. If not provided, it will be autogenerated.
+   * @param {number} [idempotencyTtl=86400000] Milliseconds an idempotency key is kept after publishing its message.
+   * @param {object} [metrics]                Metrics recorder (see metrics.js), e.g. a PrometheusMetrics instance. Disabled by default.
+   * @param {object} [logger]                 Logger (see logger.js), e.g. a pino or winston logger. If not provided, the broker's logger is used.
+   * @param {string} [logLevel]               Minimum level logged: 'debug', 'info', 'warn', 'error' or 'silent'.
+   * @param {RedisMessageBroker} [broker]      Broker whose redis connection is used. If not provided, the default broker is used.
    */
-  constructor ({ channel, maxLength = 5000 }) {
+  constructor ({
+    channel,
+    maxLength = 5000,
+    producerId,
+    idempotencyTtl = 86400000,
+    metrics = noopMetrics,
+    logger,
+    logLevel,
+    broker = defaultBroker
+  }) {
+    super();
+
     // Parameter validation
     if (!channel) throw new Error('MISSED_VALUE', 'No channel in Publisher provided');
 
     // Assigning values
     this.channel = channel;
     this.maxLength = maxLength;
+    this.producerId = producerId || `${channel}:pub:${Date.now()}`;
+    this.idempotencyTtl = idempotencyTtl;
+    this.metrics = metrics;
+    this.broker = broker;
+    this.#logger = logger || logLevel ? createLogger(logger, logLevel) : null;
   }
 
   /**
    * Publish a message.
    *
-   * @param {string} action   Action to perform.
-   * @param {string} data     Data to publish.
+   * The message is written as a named-field envelope (see message.js).
+   * If a consumer group (or a list of them) is provided, only those groups will process the message;
+   * any other group subscribed to the channel will skip it.
+   * If an idempotency key is provided, the message is only published once while the key is kept:
+   * repeated publishing with the same key returns the stream ID of the original message.
+   * If a delay or a delivery date is provided, the message is scheduled and it will be delivered to the channel
+   * by a scheduler (see scheduler.js) when it is due. In that case, the message id is returned instead of the stream ID.
+   * If OpenTelemetry is set up, the trace context of a producer span is written in the headers (see tracing.js).
+   * If a JSON Schema is registered for the channel and action (see schemas.js), invalid data throws a `SchemaValidationError`.
+   *
+   * @param {string} action                                   Action to perform.
+   * @param {string} data                                     Data to publish.
+   * @param {object} [options]                                Publishing options.
+   * @param {string|string[]} [options.group]                 Consumer group or list of consumer groups the message is addressed to.
+   * @param {object} [options.headers]                        Arbitrary user headers.
+   * @param {string} [options.correlationId]                  Id correlating the message with a request or another message.
+   * @param {string} [options.version='1']                    Schema version of the data.
+   * @param {string} [options.contentType='application/json'] Content type of the data. Non-JSON data is written as a string.
+   * @param {string} [options.messageId]                      Unique message id. If not provided, it will be autogenerated.
+   * @param {string} [options.idempotencyKey]                 Deduplication key of the message.
+   * @param {number} [options.idempotencyTtl]                 Milliseconds the idempotency key is kept. Defaults to the publisher's one.
+   * @param {number} [options.delay]                          Milliseconds to wait before delivering the message.
+   * @param {Date} [options.deliverAt]                        Date at which the message is delivered.
+   *
+   * @returns {Promise<string>} Promise object representing the stream ID of the message (or its message id if it is scheduled).
+   */
+  publish = async (action, data, options = {}) => {
+    const redis = this.broker.connection();
+    const span = startProducerSpan(this.channel, action);
+
+    let id, status;
+    try {
+      const { reply, parse } = this.#add(redis, action, data, { ...options, headers: span.inject(options.headers) });
+      ({ id, status } = parse(await reply));
+    } catch (err) {
+      span.end(err);
+      this.#reportError(err, { action, data, ...options });
+      throw err;
+    }
+    span.end(null, id);
+
+    this.#logMessageStatus(status, { channel: this.channel, action, id });
+    this.emit('published', { channel: this.channel, id, status, action, data, ...options });
+
+    return id;
+  };
+
+  /**
+   * Publish a batch of messages in a single round trip.
+   *
+   * Commands are pipelined by default, so a failing message does not prevent the rest from being published.
+   * If transaction mode is chosen, they are wrapped in MULTI/EXEC, so they are executed atomically: when any message
+   * cannot be sent (e.g. its data cannot be encoded or does not match its schema), no message is published.
+   *
+   * @param {[{
+   *  action:string,
+   *  data:string,
+   * }]} messages                                 Messages to publish. Each one may also hold the options of the publish method.
+   * @param {object} [options]                     Batch options.
+   * @param {boolean} [options.transaction=false]  Wrap commands in MULTI/EXEC instead of pipelining them.
+   *
+   * @returns {Promise<{ ids: Array, failed: Array }>} Promise object representing the result, containing the generated IDs
+   * in the same order as messages (null for failed messages) and an array of failed messages with their errors.
    */
-  publish = async (action, data) => {
-    if (!redis) throw new Error('REDIS_CONNECTION', 'No redis connection has been established');
+  publishBatch = async (messages, { transaction = false } = {}) => {
+    const redis = this.broker.connection();
+    const ids = [];
+    const failed = [];
+
+    if (!messages?.length) return { ids, failed };
+
+    const batch = transaction ? redis.multi() : redis.pipeline();
+    const entries = messages.map((message) => {
+      const span = startProducerSpan(this.channel, message.action);
+      try {
+        const { action, data, ...options } = message;
+        const { parse } = this.#add(batch, action, data, { ...options, headers: span.inject(options.headers) });
+        return { message, parse, span };
+      } catch (err) {
+        // Messages that cannot be encoded are never sent
+        return { message, error: err, span };
+      }
+    });
+
+    let results = [];
+    let abortError = new Error('BATCH_ABORTED', 'Batch has been aborted');
+    // Queued commands are only sent on exec, so a transaction with a failed message is discarded by not executing it.
+    const discarded = transaction && entries.some(({ error }) => error);
+    try {
+      if (!discarded) results = (await batch.exec()) ?? [];
+    } catch (err) {
+      // The whole transaction has been discarded (e.g. EXECABORT)
+      abortError = err;
+    }
 
-    const id = await redis.xadd(
-      this.channel,
+    let index = 0;
+    for (const { message, parse, error, span } of entries) {
+      const [err, result] = error ? [error] : results[index++] ?? [abortError];
+      if (err) {
+        span.end(err);
+        ids.push(null);
+        failed.push([message, err.message]);
+        this.#reportError(err, message);
+      } else {
+        const { id, status } = parse(result);
+        span.end(null, id);
+        ids.push(id);
+        this.#logMessageStatus(status, { channel: this.channel, action: message.action, id });
+        this.emit('published', { channel: this.channel, id, status, ...message });
+      }
+    }
+
+    return { ids, failed };
+  };
+
+  /**
+   * Add a message to the channel, either directly, deduplicated by its idempotency key or scheduled.
+   * The command is sent through the provided redis connection, pipeline or transaction.
+   *
+   * @param {Redis|Pipeline} target   Redis connection, pipeline or transaction.
+   * @param {string} action           Action to perform.
+   * @param {string} data             Data to publish.
+   * @param {object} [options]        Publishing options (see publish method).
+   *
+   * @returns {{
+   *  reply:Promise|Pipeline,
+   *  parse:function
+   * }} Command reply (or the pipeline it has been queued in) and the function that turns the command result into the message id and status.
+   */
+  #add = (target, action, data, options = {}) => {
+    const { idempotencyKey, idempotencyTtl = this.idempotencyTtl, delay, deliverAt } = options;
+
+    // Invalid data is never sent, so subscribers do not have to reject it.
+    this.broker.schemas?.validate(this.channel, action, data);
+
+    if (delay > 0 || deliverAt) {
+      if (idempotencyKey) throw new Error('INVALID_OPTIONS', 'Scheduled messages cannot be published with an idempotency key');
+
+      const messageId = options.messageId || randomUUID();
+      const entry = this.#entry(action, data, { ...options, messageId });
+      const score = deliverAt ? new Date(deliverAt).getTime() : Date.now() + delay;
+      return {
+        reply: target.zadd(scheduledKey(this.channel), score, JSON.stringify(entry)),
+        parse: () => ({ id: messageId, status: 'SCHEDULED' })
+      };
+    }
+
+    const entry = this.#entry(action, data, options);
+
+    if (!idempotencyKey) {
+      return {
+        reply: target.xadd(this.channel, ...entry),
+        parse: (id) => ({ id, status: 'PUBLISHED' })
+      };
+    }
+
+    // The idempotency key is recorded atomically along with the message (see scripts.js),
+    // so that concurrent publishers with the same key cannot both publish it.
+    return {
+      reply: target.redismbIdempotentPublish(
+        `${this.channel}:idempotency:${idempotencyKey}`,
+        this.channel,
+        idempotencyTtl,
+        ...entry
+      ),
+      parse: ([id, published]) => ({ id, status: published ? 'PUBLISHED' : 'DUPLICATED' })
+    };
+  };
+
+  /**
+   * Build the XADD arguments (following the channel name) for a message.
+   *
+   * @param {string} action     Action to perform.
+   * @param {string} data       Data to publish.
+   * @param {object} [options]  Publishing options (see publish method).
+   *
+   * @returns {Array} XADD arguments.
+   */
+  #entry = (action, data, { group, headers, correlationId, version, contentType, messageId } = {}) => {
+    return [
       'MAXLEN',
       // Although exact trimming is possible and is the default, due to the internal representation of streams
       // it is more efficient to add an entry and trim stream with XADD using almost exact trimming (the ~ argument).
@@ -39,22 +247,48 @@ export default class Publisher {
       // However, while useful only in very rare cases, it is possible to specify a well-formed ID,
       // so that the new entry will be added exactly with the specified ID.
       '*',
-      action,
-      JSON.stringify(data)
-    );
-
-    this.#logMessageStatus('PUBLISHED', { channel: this.channel, action, id });
-
-    return id;
+      ...encodeMessage({
+        messageId,
+        action,
+        data,
+        contentType,
+        version,
+        producerId: this.producerId,
+        correlationId,
+        headers,
+        group
+      })
+    ];
   };
 
   /**
-   * Log message status information.
+   * Log message status information and count the published (or scheduled) messages.
    *
    * @param {string} status                                           Message status.
    * @param {{ channel:string, action:string, id:string }} message    Message channel, action and id.
    */
   #logMessageStatus = (status, { channel, action, id }) => {
-    console.info(`[${new Date().toISOString()}] ${status} ${channel} ${action} ${id}`);
+    this.#log.info(`${status} ${channel} ${action} ${id}`, {
+      status,
+      channel,
+      action,
+      id,
+      clientId: this.producerId
+    });
+    if (status !== 'DUPLICATED') this.metrics.increment(METRICS.PUBLISHED, { channel, action });
+  };
+
+  /**
+   * Report a publishing error to the 'error' event listeners, if any (an 'error' event without listeners would throw).
+   *
+   * @param {Error} err       Error.
+   * @param {object} message  Message that could not be published.
+   */
+  #reportError = (err, message) => {
+    if (this.listenerCount('error')) this.emit('error', err, { channel: this.channel, ...message });
   };
+
+  get #log () {
+    return this.#logger || this.broker.logger;
+  }
 }
@@ -0,0 +1,70 @@
+const STRATEGIES = ['fixed', 'linear', 'exponential'];
+
+export default class RetryPolicy {
+  /**
+   * Constructor for creating a retry policy, which decides when a pending message can be claimed again
+   * basing on the number of times it has already been delivered.
+   *
+   *  - `fixed`:        Every retry waits `delay` milliseconds.
+   *  - `linear`:       Retry N waits `delay * N` milliseconds.
+   *  - `exponential`:  Retry N waits `delay * 2^(N-1)` milliseconds.
+   *
+   * Waiting times are capped by `maxDelay` and reduced by a random factor of up to `jitter` (between 0 and 1),
+   * so that retries of many messages failing at the same time are spread. The random factor is derived from the message ID,
+   * so it does not change between checks of the same retry.
+   *
+   * @constructor
+   *
+   * @param {string} [strategy='fixed']     Retry strategy: 'fixed', 'linear' or 'exponential'.
+   * @param {number} [delay=10000]          Base waiting time in milliseconds.
+   * @param {number} [maxDelay=Infinity]    Maximum waiting time in milliseconds.
+   * @param {number} [jitter=0]             Maximum fraction of the waiting time randomly taken away.
+   */
+  constructor ({ strategy = 'fixed', delay = 10000, maxDelay = Infinity, jitter = 0 } = {}) {
+    // Parameter validation
+    if (!STRATEGIES.includes(strategy)) throw new Error('INVALID_VALUE', `Retry strategy must be one of: ${STRATEGIES}`);
+    if (jitter < 0 || jitter > 1) throw new Error('INVALID_VALUE', 'Retry jitter must be between 0 and 1');
+
+    // Assigning values
+    this.strategy = strategy;
+    this.delay = delay;
+    this.maxDelay = maxDelay;
+    this.jitter = jitter;
+  }
+
+  /**
+   * Milliseconds a message must stay idle since its last delivery before it is retried.
+   *
+   * @param {number} attempts   Number of times the message has been delivered.
+   * @param {string} [id]       Message ID, used to derive the jitter.
+   *
+   * @returns {number} Waiting time in milliseconds.
+   */
+  waitingTime = (attempts, id = '') => {
+    const retry = Math.max(attempts, 1);
+    let waitingTime = this.delay;
+    if (this.strategy === 'linear') waitingTime = this.delay * retry;
+    if (this.strategy === 'exponential') waitingTime = this.delay * 2 ** (retry - 1);
+    waitingTime = Math.min(waitingTime, this.maxDelay);
+
+    if (this.jitter) waitingTime -= waitingTime * this.jitter * this.#random(`${id}:${retry}`);
+
+    return Math.round(waitingTime);
+  };
+
+  /**
+   * Deterministic pseudo-random number between 0 and 1 derived from a string (FNV-1a hash).
+   *
+   * @param {string} seed Seed.
+   *
+   * @returns {number} Pseudo-random number.
+   */
+  #random = (seed) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+      hash ^= seed.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0) / 0xffffffff;
+  };
+}
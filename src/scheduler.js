@@ -0,0 +1,143 @@
+import { defaultBroker } from './redismb.js';
+import { createLogger } from './logger.js';
+
+/**
+ * Key of the sorted set holding the scheduled messages of a channel.
+ *
+ * @param {string} channel Channel name.
+ *
+ * @returns {string} Sorted set key.
+ */
+export function scheduledKey (channel) {
+  return `${channel}:scheduled`;
+}
+
+/**
+ * Key of the sorted set holding the scheduled messages of a channel that could not be delivered.
+ *
+ * @param {string} channel Channel name.
+ *
+ * @returns {string} Sorted set key.
+ */
+export function failedScheduledKey (channel) {
+  return `${channel}:scheduled:failed`;
+}
+
+export default class Scheduler {
+  #logger;
+
+  /**
+   * Constructor for creating a scheduler that delivers scheduled messages when they are due.
+   *
+   * Redis Streams has no native delay, so scheduled messages are held in a sorted set per channel
+   * and moved into the channel by the scheduler. Promotion is atomic, so many schedulers
+   * (in the same or different processes) can work on the same channels.
+   *
+   * @constructor
+   *
+   * @param {string[]} channels             Channels whose scheduled messages are delivered.
+   * @param {number} [interval=1000]        Interval in milliseconds at which scheduled messages are checked.
+   * @param {number} [batch=100]            Maximum number of messages delivered per channel with each check.
+   * @param {object} [logger]               Logger (see logger.js). If not provided, the broker's logger is used.
+   * @param {string} [logLevel]             Minimum level logged: 'debug', 'info', 'warn', 'error' or 'silent'.
+   * @param {RedisMessageBroker} [broker]   Broker whose redis connection is used. If not provided, the default broker is used.
+   */
+  constructor ({ channels, interval = 1000, batch = 100, logger, logLevel, broker = defaultBroker }) {
+    // Parameter validation
+    if (!channels) throw new Error('MISSED_VALUE', 'No channels in Scheduler provided');
+
+    // Assigning values
+    this.channels = channels;
+    this.interval = interval;
+    this.batch = batch;
+    this.broker = broker;
+    this.#logger = logger || logLevel ? createLogger(logger, logLevel) : null;
+  }
+
+  /**
+   * Start delivering scheduled messages at the specified interval.
+   */
+  start = () => {
+    if (this.promotingInterval) return;
+    this.promotingInterval = setInterval(async () => {
+      if (this.promoting) return;
+      this.promoting = true;
+      try {
+        await this.promote();
+      } catch (err) {
+        this.#log.error(`Scheduled messages could not be delivered: ${err.message}`, { error: err });
+      } finally {
+        this.promoting = false;
+      }
+    }, this.interval);
+  };
+
+  /**
+   * Stop delivering scheduled messages.
+   */
+  stop = () => {
+    if (this.promotingInterval) clearInterval(this.promotingInterval);
+    this.promotingInterval = null;
+  };
+
+  /**
+   * Deliver due scheduled messages once.
+   * Channels are promoted independently, so a channel failing does not stop the rest. Messages that cannot be added
+   * to their channel are moved aside (see failedScheduledKey), so they do not hold back the messages due after them.
+   *
+   * @returns {Promise<{ [channel:string]: string[] }>} Promise object representing the stream IDs of the delivered messages per channel.
+   */
+  promote = async () => {
+    const redis = this.broker.connection();
+    const promoted = {};
+
+    for (const channel of this.channels) {
+      try {
+        const [ids, errors] = await redis.redismbPromoteScheduled(
+          scheduledKey(channel),
+          channel,
+          failedScheduledKey(channel),
+          Date.now(),
+          this.batch
+        );
+        if (ids.length) {
+          promoted[channel] = ids;
+          ids.forEach((id) => this.#logMessageStatus('PROMOTED', { channel, id }));
+        }
+        if (errors.length) {
+          this.#log.error(
+            `${errors.length} scheduled messages could not be delivered to ${channel} and have been moved to ${failedScheduledKey(channel)}: ${errors[0]}`,
+            { status: 'PROMOTION_FAILED', channel }
+          );
+        }
+      } catch (err) {
+        this.#log.error(`Scheduled messages could not be delivered to ${channel}: ${err.message}`, {
+          status: 'PROMOTION_FAILED',
+          channel,
+          error: err
+        });
+      }
+    }
+
+    return promoted;
+  };
+
+  /**
+   * Log message status information.
+   *
+   * @param {string} status                             Message status.
+   * @param {{ channel:string, id:string }} message     Message channel and id.
+   */
+  #logMessageStatus = (status, { channel, id }) => {
+    this.#log.info(`${status} ${channel} ${id}`, { status, channel, id });
+  };
+
+  /**
+   * Get the logger of the scheduler, or the broker's one (which may be set after the scheduler is created).
+   *
+   * @returns {object} Logger (see logger.js).
+   */
+  get #log () {
+    return this.#logger || this.broker.logger;
+  }
+}
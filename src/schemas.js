@@ -0,0 +1,63 @@
+import Ajv from 'ajv';
+
+import { SchemaValidationError } from './errors.js';
+
+/**
+ * JSON Schemas of the message data, by channel and action.
+ *
+ * Publishers refuse to publish data that does not match the schema of its channel and action,
+ * and subscribers move the messages that do not match it to the dead-letter stream without calling the callback.
+ * Messages whose action has no schema are not validated.
+ */
+export default class SchemaRegistry {
+  #ajv = new Ajv({ allErrors: true });
+  #validators = new Map();
+
+  /**
+   * Register the JSON Schema of the data of an action, replacing the previous one (if any).
+   *
+   * @param {string} channel  Channel name.
+   * @param {string} action   Action.
+   * @param {object} schema   JSON Schema (draft-07). It is compiled right away, so an invalid schema throws here.
+   */
+  register = (channel, action, schema) => {
+    if (!channel) throw new Error('MISSED_VALUE', 'No channel provided');
+    if (!action) throw new Error('MISSED_VALUE', 'No action provided');
+    if (!schema) throw new Error('MISSED_VALUE', 'No schema provided');
+
+    this.#validators.set(this.#key(channel, action), this.#ajv.compile(schema));
+  };
+
+  /**
+   * Remove the JSON Schema of an action, so its messages are not validated anymore.
+   *
+   * @param {string} channel  Channel name.
+   * @param {string} action   Action.
+   *
+   * @returns {boolean} Whether there was a schema.
+   */
+  unregister = (channel, action) => {
+    return this.#validators.delete(this.#key(channel, action));
+  };
+
+  /**
+   * Check the data of a message against the schema of its channel and action.
+   *
+   * @param {string} channel  Channel name.
+   * @param {string} action   Action.
+   * @param {any} data        Message data.
+   *
+   * @throws {SchemaValidationError} If the data does not match the schema, with the validation errors.
+   */
+  validate = (channel, action, data) => {
+    const validator = this.#validators.get(this.#key(channel, action));
+    if (!validator || validator(data)) return;
+
+    const errors = validator.errors.map(({ instancePath, message, params }) => ({ path: instancePath, message, params }));
+    throw new SchemaValidationError(`Invalid data for action ${action} in channel ${channel}`, errors);
+  };
+
+  #key = (channel, action) => {
+    return JSON.stringify([channel, action]);
+  };
+}
@@ -0,0 +1,272 @@
+/**
+ * Lua scripts run atomically by Redis. They are defined as custom commands on every broker connection,
+ * so they can be called directly, pipelined or wrapped in transactions (e.g. `redis.redismbIdempotentPublish(...)`).
+ */
+const SCRIPTS = {
+  /**
+   * Publish a message unless its idempotency key has already been recorded.
+   *
+   * KEYS[1]  Idempotency key.
+   * KEYS[2]  Channel.
+   * ARGV[1]  Milliseconds the idempotency key is kept.
+   * ARGV[2+] XADD arguments following the channel name.
+   *
+   * Returns the stream ID of the message and 1 if it has been published or 0 if it was already published.
+   */
+  redismbIdempotentPublish: {
+    numberOfKeys: 2,
+    lua: `
+      local id = redis.call('GET', KEYS[1])
+      if id then
+        return { id, 0 }
+      end
+      id = redis.call('XADD', KEYS[2], unpack(ARGV, 2))
+      redis.call('SET', KEYS[1], id, 'PX', ARGV[1])
+      return { id, 1 }
+    `
+  },
+
+  /**
+   * Move due scheduled messages into their channel.
+   *
+   * KEYS[1]  Sorted set of scheduled messages (scored by delivery time).
+   * KEYS[2]  Channel.
+   * KEYS[3]  Sorted set of scheduled messages that could not be moved.
+   * ARGV[1]  Current time in milliseconds since epoch.
+   * ARGV[2]  Maximum amount of messages moved.
+   *
+   * Every member is a JSON array with the XADD arguments following the channel name.
+   * Messages that cannot be added to the channel (e.g. the channel key holds another type or the member is malformed)
+   * are moved aside to KEYS[3] with their delivery time, so they do not block the messages due after them.
+   * Returns the stream IDs of the moved messages and the errors of the messages moved aside.
+   */
+  redismbPromoteScheduled: {
+    numberOfKeys: 3,
+    lua: `
+      local due = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'WITHSCORES', 'LIMIT', 0, ARGV[2])
+      local ids = {}
+      local errors = {}
+      for i = 1, #due, 2 do
+        local member = due[i]
+        local decoded, args = pcall(cjson.decode, member)
+        local result
+        if decoded and type(args) == 'table' then
+          result = redis.pcall('XADD', KEYS[2], unpack(args))
+        else
+          result = { err = 'Invalid scheduled message' }
+        end
+        if type(result) == 'table' and result.err then
+          redis.call('ZADD', KEYS[3], due[i + 1], member)
+          errors[#errors + 1] = result.err
+        else
+          ids[#ids + 1] = result
+        end
+        redis.call('ZREM', KEYS[1], member)
+      end
+      return { ids, errors }
+    `
+  },
+
+  /**
+   * Move a rejected message from its dead-letter stream back to a channel, unless it has already been moved.
+   * Concurrent calls for the same rejected message republish it only once.
+   *
+   * KEYS[1]  Dead-letter stream.
+   * KEYS[2]  Channel.
+   * ARGV[1]  Stream ID of the rejected message.
+   * ARGV[2+] XADD arguments following the channel name.
+   *
+   * Returns the stream ID of the republished message or nil if the rejected message no longer exists.
+   */
+  redismbReprocessRejected: {
+    numberOfKeys: 2,
+    lua: `
+      if #redis.call('XRANGE', KEYS[1], ARGV[1], ARGV[1]) == 0 then
+        return false
+      end
+      local id = redis.call('XADD', KEYS[2], unpack(ARGV, 2))
+      redis.call('XDEL', KEYS[1], ARGV[1])
+      return id
+    `
+  },
+
+  /**
+   * Move rejected messages of a channel to a dead-letter stream: every dead-letter entry is added first, and only then
+   * the messages are acknowledged and their recorded failures deleted. If adding an entry fails (e.g. the dead-letter key
+   * holds another type), the script stops before acknowledging anything, so the messages are left pending.
+   *
+   * The number of keys is passed as first argument.
+   * KEYS[1]  Channel.
+   * KEYS[2]  Dead-letter stream.
+   * KEYS[3]  Set of the dead-letter streams.
+   * KEYS[4+] Failure keys of the messages.
+   * ARGV[1]  Consumer group.
+   * ARGV[2]  Approximate maximum length of the dead-letter stream (empty for no limit).
+   * ARGV[3]  Minimum ID kept in the dead-letter stream (empty for no limit).
+   * ARGV[4+] For each message: its stream ID, the number of fields of its dead-letter entry and the fields.
+   *
+   * Returns the number of rejected messages.
+   */
+  redismbRejectMessages: {
+    lua: `
+      local ids = {}
+      local i = 4
+      while i <= #ARGV do
+        local count = tonumber(ARGV[i + 1])
+        if ARGV[2] ~= '' then
+          redis.call('XADD', KEYS[2], 'MAXLEN', '~', ARGV[2], '*', unpack(ARGV, i + 2, i + 1 + count))
+        else
+          redis.call('XADD', KEYS[2], '*', unpack(ARGV, i + 2, i + 1 + count))
+        end
+        ids[#ids + 1] = ARGV[i]
+        i = i + 2 + count
+      end
+      if ARGV[3] ~= '' then
+        redis.call('XTRIM', KEYS[2], 'MINID', '~', ARGV[3])
+      end
+      redis.call('SADD', KEYS[3], KEYS[2])
+      redis.call('XACK', KEYS[1], ARGV[1], unpack(ids))
+      for k = 4, #KEYS do
+        redis.call('DEL', KEYS[k])
+      end
+      return #ids
+    `
+  },
+
+  /**
+   * Delete a consumer of a group unless it still has pending messages, which would be lost along with it.
+   *
+   * KEYS[1]  Channel.
+   * ARGV[1]  Consumer group.
+   * ARGV[2]  Consumer name.
+   *
+   * Returns the number of pending messages of the consumer (0 if it has been deleted).
+   */
+  redismbDeleteConsumer: {
+    numberOfKeys: 1,
+    lua: `
+      local consumers = redis.call('XPENDING', KEYS[1], ARGV[1])[4] or {}
+      for _, consumer in ipairs(consumers) do
+        if consumer[1] == ARGV[2] then
+          return tonumber(consumer[2])
+        end
+      end
+      redis.call('XGROUP', 'DELCONSUMER', KEYS[1], ARGV[1], ARGV[2])
+      return 0
+    `
+  },
+
+  /**
+   * Record a message with an ordering key and check whether an earlier message with the same key is still pending.
+   *
+   * KEYS[1]  Sorted set of the delivered messages of the ordering key (scored by the time part of their stream ID).
+   * KEYS[2]  Channel.
+   * ARGV[1]  Consumer group.
+   * ARGV[2]  Stream ID of the message.
+   *
+   * Earlier messages that are no longer pending (e.g. acknowledged by a consumer that stopped before forgetting them)
+   * are removed, so they do not hold up the message.
+   * Returns 1 if the message must wait or 0 if it is the earliest pending message of its key.
+   */
+  redismbCheckOrdering: {
+    numberOfKeys: 2,
+    lua: `
+      local function sequence (id)
+        return tonumber(string.match(id, '%d+$'))
+      end
+      redis.call('ZADD', KEYS[1], string.match(ARGV[2], '^%d+'), ARGV[2])
+      while true do
+        local first = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+        -- Messages added within the same millisecond are told apart by the sequence part of their ID.
+        local earliest = first[1]
+        for _, id in ipairs(redis.call('ZRANGEBYSCORE', KEYS[1], first[2], first[2])) do
+          if sequence(id) < sequence(earliest) then
+            earliest = id
+          end
+        end
+        if earliest == ARGV[2] then
+          return 0
+        end
+        if #redis.call('XPENDING', KEYS[2], ARGV[1], earliest, earliest, 1) > 0 then
+          return 1
+        end
+        redis.call('ZREM', KEYS[1], earliest)
+      end
+    `
+  },
+
+  /**
+   * Take the processing lease of a message unless it is already completed or leased.
+   *
+   * KEYS[1]  Deduplication key of the message.
+   * ARGV[1]  Lease owner (consumer ID).
+   * ARGV[2]  Milliseconds the lease is kept.
+   *
+   * Returns 'acquired', 'locked' (another execution is in progress) or 'done' (the message is already completed).
+   */
+  redismbAcquireLease: {
+    numberOfKeys: 1,
+    lua: `
+      local state = redis.call('GET', KEYS[1])
+      if state == 'done' then
+        return 'done'
+      end
+      if state then
+        return 'locked'
+      end
+      redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+      return 'acquired'
+    `
+  },
+
+  /**
+   * Extend the processing lease of a message if it is still owned by the provided owner.
+   *
+   * KEYS[1]  Deduplication key of the message.
+   * ARGV[1]  Lease owner (consumer ID).
+   * ARGV[2]  Milliseconds the lease is kept from now on.
+   *
+   * Returns 1 if the lease has been extended or 0 otherwise.
+   */
+  redismbRenewLease: {
+    numberOfKeys: 1,
+    lua: `
+      if redis.call('GET', KEYS[1]) == ARGV[1] then
+        return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+      end
+      return 0
+    `
+  },
+
+  /**
+   * Release the processing lease of a message if it is still owned by the provided owner.
+   *
+   * KEYS[1]  Deduplication key of the message.
+   * ARGV[1]  Lease owner (consumer ID).
+   *
+   * Returns 1 if the lease has been released or 0 otherwise.
+   */
+  redismbReleaseLease: {
+    numberOfKeys: 1,
+    lua: `
+      if redis.call('GET', KEYS[1]) == ARGV[1] then
+        return redis.call('DEL', KEYS[1])
+      end
+      return 0
+    `
+  }
+};
+
+/**
+ * Define every script as a custom command of a redis connection.
+ *
+ * @param {Redis} redis Redis connection.
+ *
+ * @returns {Redis} Redis connection.
+ */
+export function defineScripts (redis) {
+  for (const [name, { numberOfKeys, lua }] of Object.entries(SCRIPTS)) {
+    if (!redis[name]) redis.defineCommand(name, { numberOfKeys, lua });
+  }
+  return redis;
+}
@@ -1,30 +1,187 @@
-import { redis } from './redismb.js';
+import { EventEmitter } from 'node:events';
+
+import { defaultBroker } from './redismb.js';
+import { decodeMessage, encodeMessage } from './message.js';
+import Scheduler from './scheduler.js';
+import RetryPolicy from './retry.js';
+import { Disposition } from './errors.js';
+import { METRICS, noopMetrics } from './metrics.js';
+import { createLogger } from './logger.js';
+import { startConsumerSpan } from './tracing.js';
+
+// Number of pending messages read per request from the PEL.
+const PENDING_PAGE_SIZE = 100;
+
+// Maximum number of pages of the PEL of a channel read while looking for messages to retry in each cycle.
+const PENDING_PAGES_PER_CYCLE = 10;
+
+// Milliseconds the last failure of a message is kept, so it can be recorded when the message is finally rejected.
+const FAILURE_TTL = 604800000;
+
+// Counter incremented for each logged message status.
+const STATUS_METRICS = {
+  RECEIVED: METRICS.RECEIVED,
+  CONFIRMED: METRICS.CONFIRMED,
+  SKIPPED: METRICS.SKIPPED,
+  DUPLICATED: METRICS.SKIPPED,
+  REJECTED: METRICS.REJECTED
+};
+
+// Event emitted for each acknowledged message status.
+const STATUS_EVENTS = {
+  CONFIRMED: 'confirmed',
+  SKIPPED: 'skipped',
+  DUPLICATED: 'skipped'
+};
+
+// Events emitted by subscribers. Any other event name given to `on` is an action to route (see route).
+const LIFECYCLE_EVENTS = new Set([
+  'received',
+  'confirmed',
+  'skipped',
+  'claimed',
+  'rejected',
+  'error',
+  'started',
+  'stopped',
+  'newListener',
+  'removeListener'
+]);
+
+// What is done with messages whose action has no handler.
+const UNKNOWN_ACTION_POLICIES = ['ack', 'skip', 'reject'];
+
+// Set of the dead-letter streams written by subscribers, so admin functions can find them.
+export const DEAD_LETTERS_KEY = 'redismb:dead-letters';
+
+/**
+ * Default dead-letter stream where a consumer group moves the rejected messages of a channel.
+ *
+ * @param {string} channel  Channel name.
+ * @param {string} group    Consumer group.
+ *
+ * @returns {string} Dead-letter stream name.
+ */
+export function deadLetterKey (channel, group) {
+  return `${channel}:${group}:dlq`;
+}
+
+export default class Subscriber extends EventEmitter {
+  #logger;
+  // Messages being processed and functions waiting for a free processing slot (when concurrency is bounded).
+  #inFlight = 0;
+  #slotWaiters = [];
+  // Reads in progress, so that unsubscribing waits for the messages they bring.
+  #readings = new Set();
+  // Position of the PEL of each channel where the next look for messages to retry starts.
+  #pendingCursors = new Map();
+  // Last processing of each channel and ordering key, and number of messages waiting for it (when ordering is enabled).
+  #orderingChains = new Map();
+  #queued = 0;
+  // Handlers by action pattern, in registration order.
+  #routes = [];
+  #retryPolicyOptions;
 
-export default class Subscriber {
   /**
    * Constructor for creating a stream subscriber.
    *
    * If the interval is set to 0, the stream will be read continuously.
    * If it is greater than 0, it will be read at the specified interval.
    *
+   * Subscribers emit lifecycle events with the message (as provided to the callback, along with its channel):
+   * 'received', 'confirmed', 'skipped', 'claimed' (a pending message is claimed to be retried),
+   * 'rejected' (with the rejection reason as second argument) and 'error' (error and message, if any),
+   * as well as 'started' and 'stopped' with the channels, group and client ID.
+   *
    * @constructor
    *
-   * @param {string[]} channels         Channels to connect to.
-   * @param {string} group              A connsumer group identifier for subscribers.
-   * @param {string} [clientId]         The subscriber ID for tracing. If not provided, it will be autogenerated.
-   * @param {number} [timeout=10000]    Timeout in milliseconds to ACK a message.
-   * @param {number} [interval=0]       Interval in milliseconds at which messages are checked.
-   * @param {number} [messages=1]       Maximum number of messages carried with each stream check.
-   * @param {number} [retries=3]        Number of retries to process a message.
-   * @param {function} [callback]       Callback function to call when an error occurs. It should look like: (err, channel, message) => {...}
-   */
-  constructor ({ channels, group, clientId, timeout = 10000, interval = 0, messages = 1, retries = 3 },
-    callback = (err, channel, message) => {
-      console.error(err);
-    }) {
+   * @param {string[]} channels            Channels to connect to.
+   * @param {string} group                 A connsumer group identifier for subscribers.
+   * @param {string} [clientId]            The subscriber ID for tracing. If not provided, it will be autogenerated.
+   * @param {number} [timeout=10000]       Timeout in milliseconds to ACK a message.
+   * @param {number} [interval=0]          Interval in milliseconds at which messages are checked.
+   * @param {number} [messages=1]          Maximum number of messages carried with each stream check.
+   * @param {number} [concurrency]         Maximum number of messages processed at once across all channels. Unbounded by default.
+   *                                       Reading is paused while it is reached and resumed as callbacks finish.
+   * @param {function} [orderingKey]      Function (message) => key. Messages of a channel with the same key are processed one at a time
+   *                                       in stream order, across consumers and retries: a message waits (pending) while an earlier one
+   *                                       with its key is pending, e.g. waiting to be retried, until it is confirmed or rejected.
+   * @param {number} [retries=3]           Number of retries to process a message.
+   * @param {string} [unknownAction='skip'] What is done with messages whose action has no handler (see route): 'ack' confirms them,
+   *                                       'skip' acknowledges them as skipped and 'reject' moves them to the dead-letter stream.
+   * @param {{
+   *  strategy:string|undefined,
+   *  delay:number|undefined,
+   *  maxDelay:number|undefined,
+   *  jitter:number|undefined
+   * }} [retryPolicy]                       Policy deciding how long a pending message waits before being retried (see retry.js).
+   *                                       Messages are never retried before `timeout`. Fixed waiting of `timeout` milliseconds by default.
+   * @param {boolean|{
+   *  ttl:number|undefined,
+   *  lease:number|undefined
+   * }} [dedupe=false]                     Skip messages already processed by the group (kept for `ttl` milliseconds, one day by default)
+   *                                       and lock messages in progress (for `lease` milliseconds, `timeout` by default, renewed
+   *                                       while the callback runs, so the lock only expires if the consumer dies).
+   * @param {boolean|{
+   *  interval:number|undefined,
+   *  batch:number|undefined
+   * }} [scheduler=false]                 Deliver scheduled messages of the channels while subscribed (see scheduler.js): true or
+   *                                       the scheduler options. Disabled by default, so channels without scheduled messages are not polled.
+   * @param {{
+   *  stream:string|function|undefined,
+   *  maxLength:number|undefined,
+   *  maxAge:number|undefined
+   * }} [deadLetter]                      Stream where rejected messages are moved: a name or a function (channel, group) => name,
+   *                                       `<channel>:<group>:dlq` by default. It is trimmed to about `maxLength` entries
+   *                                       and `maxAge` milliseconds when provided.
+   * @param {object} [metrics]             Metrics recorder (see metrics.js), e.g. a PrometheusMetrics instance. Disabled by default.
+   * @param {object} [logger]              Logger (see logger.js), e.g. a pino or winston logger. If not provided, the broker's logger is used.
+   * @param {string} [logLevel]            Minimum level logged: 'debug', 'info', 'warn', 'error' or 'silent'.
+   * @param {RedisMessageBroker} [broker]  Broker whose redis connection is used. If not provided, the default broker is used.
+   * @param {function} [callback]          Callback function to call when an error occurs. It should look like: (err, channel, message) => {...}
+   */
+  constructor ({
+    channels,
+    group,
+    clientId,
+    timeout = 10000,
+    interval = 0,
+    messages = 1,
+    concurrency = Infinity,
+    orderingKey,
+    retries = 3,
+    unknownAction = 'skip',
+    retryPolicy,
+    dedupe = false,
+    scheduler = false,
+    deadLetter = {},
+    metrics = noopMetrics,
+    logger,
+    logLevel,
+    broker = defaultBroker
+  },
+  callback = (err, channel, message) => {
+    this.#log.error(err?.message || String(err), {
+      channel,
+      action: message?.action,
+      id: message?.id,
+      group: this.group,
+      clientId: this.clientId,
+      error: err
+    });
+  }) {
+    super();
+
     // Parameter validation
     if (!channels) throw new Error('MISSED_VALUE', 'No channels in Subscriber provided');
     if (!group) throw new Error('MISSED_VALUE', 'No group in Subscriber provided');
+    if (!(concurrency >= 1)) throw new Error('INVALID_VALUE', 'Subscriber concurrency must be at least 1');
+    if (orderingKey && typeof orderingKey !== 'function') {
+      throw new Error('INVALID_VALUE', 'Subscriber orderingKey must be a function');
+    }
+    if (!UNKNOWN_ACTION_POLICIES.includes(unknownAction)) {
+      throw new Error('INVALID_VALUE', `Subscriber unknownAction must be one of: ${UNKNOWN_ACTION_POLICIES}`);
+    }
     if (callback) {
       if (typeof callback !== 'function') {
         throw new TypeError('Callback must be a function');
@@ -42,7 +199,18 @@ export default class Subscriber {
     this.timeout = timeout;
     this.interval = interval;
     this.messages = messages;
+    this.concurrency = concurrency;
+    this.orderingKey = orderingKey;
     this.retries = retries;
+    this.unknownAction = unknownAction;
+    this.retryPolicy = new RetryPolicy({ delay: timeout, ...retryPolicy });
+    this.#retryPolicyOptions = retryPolicy;
+    this.dedupe = dedupe ? { ttl: 86400000, lease: timeout, ...dedupe } : null;
+    this.broker = broker;
+    this.#logger = logger || logLevel ? createLogger(logger, logLevel) : null;
+    this.scheduler = scheduler ? new Scheduler({ logger, logLevel, ...scheduler, channels, broker }) : null;
+    this.deadLetter = { stream: deadLetterKey, ...deadLetter };
+    this.metrics = metrics;
     this.logEventError = callback;
 
     // Setting block parameter based on interval
@@ -65,7 +233,7 @@ export default class Subscriber {
    * Create new group or join to existing one.
    */
   #createGroup = async () => {
-    if (!redis) throw new Error('REDIS_CONNECTION', 'No redis connection has been established');
+    const redis = this.broker.connection();
 
     for (const channel of this.channels) {
       try {
@@ -79,10 +247,20 @@ export default class Subscriber {
           // MKSTREAM creates the stream if it doesn’t already exist.
           'MKSTREAM'
         );
-        console.info(`Group ${this.group} have been created in stream ${channel}.`);
+        this.#log.info(`Group ${this.group} have been created in stream ${channel}.`, {
+          status: 'GROUP_CREATED',
+          channel,
+          group: this.group,
+          clientId: this.clientId
+        });
       } catch (err) {
         if (err.message.includes('BUSYGROUP')) {
-          console.info(`Group ${this.group} already exists at stream ${channel}.`);
+          this.#log.debug(`Group ${this.group} already exists at stream ${channel}.`, {
+            status: 'GROUP_EXISTS',
+            channel,
+            group: this.group,
+            clientId: this.clientId
+          });
         } else {
           throw err;
         }
@@ -90,42 +268,264 @@ export default class Subscriber {
     }
   };
 
+  /**
+   * Handle the messages whose action matches a pattern with their own handler, instead of the subscribe callback.
+   * Patterns are actions (e.g. 'user.created') or wildcards: `*` matches one dot-separated segment (e.g. 'user.*')
+   * and `**` any number of them (e.g. 'user.**'). Exact patterns are tried first, then wildcards in registration order.
+   *
+   * @param {string} pattern            Action or action pattern.
+   * @param {function} handler          Processing message handler, which works like the subscribe callback.
+   * @param {{
+   *  retries:number|undefined,
+   *  timeout:number|undefined
+   * }} [options]                        Retries and timeout of the matching messages, instead of the subscriber ones.
+   *
+   * @returns {Subscriber} The subscriber, so that calls can be chained.
+   */
+  route = (pattern, handler, { retries, timeout } = {}) => {
+    if (!pattern) throw new Error('MISSED_VALUE', 'No action pattern provided');
+    if (typeof handler !== 'function') throw new TypeError('Handler must be a function');
+
+    const wildcard = pattern.includes('*');
+    this.#routes.push({
+      pattern,
+      regexp: wildcard ? this.#patternToRegExp(pattern) : null,
+      handler,
+      retries,
+      timeout,
+      // The timeout of the route is its retry delay, even if the retry policy of the subscriber sets another one.
+      retryPolicy: timeout === undefined ? undefined : new RetryPolicy({ ...this.#retryPolicyOptions, delay: timeout })
+    });
+    return this;
+  };
+
+  /**
+   * Stop handling the messages of an action pattern with a handler given to `route`.
+   * If the handler has been routed several times with the pattern, the latest route is removed.
+   *
+   * @param {string} pattern    Action or action pattern.
+   * @param {function} handler  Processing message handler.
+   *
+   * @returns {Subscriber} The subscriber, so that calls can be chained.
+   */
+  unroute = (pattern, handler) => {
+    const index = this.#routes.findLastIndex((route) => route.pattern === pattern && route.handler === handler);
+    if (index !== -1) this.#routes.splice(index, 1);
+    return this;
+  };
+
+  /**
+   * Listen to a lifecycle event or, for any other name, handle the messages of an action (see route).
+   * Actions named like a lifecycle event can only be routed with `route`.
+   *
+   * @param {string} event        Lifecycle event, action or action pattern.
+   * @param {function} listener   Event listener or processing message handler.
+   * @param {object} [options]    Route options (see route).
+   *
+   * @returns {Subscriber} The subscriber, so that calls can be chained.
+   */
+  on = (event, listener, options) => {
+    if (this.#isLifecycleEvent(event)) return super.on(event, listener);
+    return this.route(event, listener, options);
+  };
+
+  /**
+   * Same as `on`.
+   *
+   * @param {string} event        Lifecycle event, action or action pattern.
+   * @param {function} listener   Event listener or processing message handler.
+   * @param {object} [options]    Route options (see route).
+   *
+   * @returns {Subscriber} The subscriber, so that calls can be chained.
+   */
+  addListener = (event, listener, options) => {
+    return this.on(event, listener, options);
+  };
+
+  /**
+   * Remove a lifecycle event listener or, for any other name, the route of an action (see unroute).
+   * Actions named like a lifecycle event can only be unrouted with `unroute`.
+   *
+   * @param {string} event        Lifecycle event, action or action pattern.
+   * @param {function} listener   Event listener or processing message handler.
+   *
+   * @returns {Subscriber} The subscriber, so that calls can be chained.
+   */
+  off = (event, listener) => {
+    if (this.#isLifecycleEvent(event)) return super.off(event, listener);
+    return this.unroute(event, listener);
+  };
+
+  /**
+   * Same as `off`.
+   *
+   * @param {string} event        Lifecycle event, action or action pattern.
+   * @param {function} listener   Event listener or processing message handler.
+   *
+   * @returns {Subscriber} The subscriber, so that calls can be chained.
+   */
+  removeListener = (event, listener) => {
+    return this.off(event, listener);
+  };
+
+  /**
+   * Listen to a lifecycle event only once. Actions cannot be routed this way (see route).
+   *
+   * @param {string} event        Lifecycle event.
+   * @param {function} listener   Event listener.
+   *
+   * @returns {Subscriber} The subscriber, so that calls can be chained.
+   */
+  once = (event, listener) => {
+    this.#checkLifecycleEvent(event);
+    return super.once(event, listener);
+  };
+
+  /**
+   * Listen to a lifecycle event before the other listeners. Actions cannot be routed this way (see route).
+   *
+   * @param {string} event        Lifecycle event.
+   * @param {function} listener   Event listener.
+   *
+   * @returns {Subscriber} The subscriber, so that calls can be chained.
+   */
+  prependListener = (event, listener) => {
+    this.#checkLifecycleEvent(event);
+    return super.prependListener(event, listener);
+  };
+
+  /**
+   * Listen to a lifecycle event only once, before the other listeners. Actions cannot be routed this way (see route).
+   *
+   * @param {string} event        Lifecycle event.
+   * @param {function} listener   Event listener.
+   *
+   * @returns {Subscriber} The subscriber, so that calls can be chained.
+   */
+  prependOnceListener = (event, listener) => {
+    this.#checkLifecycleEvent(event);
+    return super.prependOnceListener(event, listener);
+  };
+
+  #isLifecycleEvent = (event) => {
+    return LIFECYCLE_EVENTS.has(event) || typeof event !== 'string';
+  };
+
+  #checkLifecycleEvent = (event) => {
+    if (!this.#isLifecycleEvent(event)) {
+      throw new Error('INVALID_VALUE', `Action ${event} can only be handled with on or route`);
+    }
+  };
+
   /**
    * Subscribe to streaming messages.
+   * The callback can return a disposition ('ack', 'retry' or 'reject') or throw a `NonRetryableError`
+   * to move the message to the rejections stream without waiting for the remaining retries.
+   * When routes are registered (see route), the callback only handles the messages whose action matches none of them.
    *
-   * @param {function} callback Processing messages callback.
+   * @param {function} [callback] Processing messages callback. Without it, only routed actions are processed.
    */
   subscribe = (callback) => {
+    this.broker.subscribers?.add(this);
+    this.scheduler?.start();
     if (this.interval > 0) this.#intervalRead(callback);
     else this.#continualRead(callback);
+    this.emit('started', { channels: this.channels, group: this.group, clientId: this.clientId });
   };
 
   /**
-   * Delete consumer.
+   * Stop reading messages and delete consumer.
    *
-   * @param {number} [timeout=60000] Milliseconds to wait after stop claiming messages and before deleting consumer.
+   * Reading stops right away and the callbacks in progress are waited for (up to [timeout] milliseconds).
+   * Messages read but not yet processed are left pending. Then, the consumer is deleted, unless it has pending messages
+   * (e.g. failed ones waiting for a retry): it is kept with them, so that they are claimed by the other consumers of the group.
+   *
+   * @param {number} [timeout=60000] Maximum milliseconds to wait for the callbacks in progress.
+   *
+   * @returns {Promise<{
+   *  channels:string[],
+   *  result:string,
+   *  drained:boolean,
+   *  pending:number
+   * }>} Promise object representing the result: whether every callback finished in time and the number of pending messages kept.
    */
   unsubscribe = async (timeout = 60000) => {
-    const _stopReading = () => {
-      this.continueReading = false;
-      if (this.readingInterval) clearInterval(this.readingInterval);
-    };
-    const _setTimeout = (timeout) => {
-      return new Promise((resolve) => setTimeout(resolve, timeout));
-    };
+    this.continueReading = false;
+    if (this.readingInterval) clearInterval(this.readingInterval);
+    this.scheduler?.stop();
+    this.broker.subscribers?.delete(this);
 
-    // wait [timeout] milliseconds after stop claiming messages (and before deleting consumer)
-    // in order to avoid the existence of pending messages that could become unclaimable.
-    await Promise.all([_stopReading(), _setTimeout(timeout)]);
+    const drained = await this.#drain(timeout);
+    if (!drained) {
+      this.#log.warn(`Consumer ${this.clientId} stopped waiting for ${this.#inFlight} messages in progress.`, {
+        status: 'DRAIN_TIMEOUT',
+        group: this.group,
+        clientId: this.clientId
+      });
+    }
 
+    let pending = 0;
     for (const channel of this.channels) {
-      await redis.xgroup('DELCONSUMER', channel, this.group, this.clientId);
-      console.info(
-        `Consumer ${this.clientId} has been removed from consumer group ${this.group} in channel ${channel}.`
-      );
+      pending += await this.#removeConsumer(channel);
     }
 
-    return { channels: this.channels, result: 'OK' };
+    this.emit('stopped', { channels: this.channels, group: this.group, clientId: this.clientId });
+
+    return { channels: this.channels, result: 'OK', drained, pending };
+  };
+
+  /**
+   * Wait until there are no reads nor callbacks in progress.
+   *
+   * @param {number} timeout Maximum milliseconds to wait.
+   *
+   * @returns {Promise<boolean>} Promise object representing whether everything finished in time.
+   */
+  #drain = async (timeout) => {
+    const deadline = Date.now() + timeout;
+    while (this.#inFlight || this.#readings.size) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) return false;
+      let timer;
+      await Promise.race([
+        new Promise((resolve) => this.#slotWaiters.push(resolve)),
+        ...this.#readings,
+        new Promise((resolve) => { timer = setTimeout(resolve, remaining); })
+      ]);
+      clearTimeout(timer);
+    }
+    return true;
+  };
+
+  /**
+   * Delete the consumer from the group of a channel, unless it has pending messages.
+   * Pending messages are not handed over: they are claimed like any other pending message once they have been idle long enough,
+   * so they cannot be lost if the consumer they were handed over to were leaving too.
+   *
+   * @param {string} channel Channel name.
+   *
+   * @returns {Promise<number>} Promise object representing the number of pending messages kept.
+   */
+  #removeConsumer = async (channel) => {
+    // The consumer is only deleted if it has no pending messages at once, so none can be claimed by it in between.
+    const pending = await this.#redis.redismbDeleteConsumer(channel, this.group, this.clientId);
+
+    if (pending) {
+      this.#log.warn(`Consumer ${this.clientId} has been kept in channel ${channel} with ${pending} pending messages.`, {
+        status: 'CONSUMER_KEPT',
+        channel,
+        group: this.group,
+        clientId: this.clientId
+      });
+    } else {
+      this.#log.info(`Consumer ${this.clientId} has been removed from consumer group ${this.group} in channel ${channel}.`, {
+        status: 'CONSUMER_REMOVED',
+        channel,
+        group: this.group,
+        clientId: this.clientId
+      });
+    }
+    return pending;
   };
 
   /**
@@ -134,11 +534,16 @@ export default class Subscriber {
    * @param {function} callback Processing message callback.
    */
   #intervalRead = (callback) => {
-    console.info(`Client ${this.clientId} connecting to ${this.channels} channel for Interval Read`);
+    this.#log.info(`Client ${this.clientId} connecting to ${this.channels} channel for Interval Read`, {
+      status: 'CONNECTING',
+      channels: this.channels,
+      group: this.group,
+      clientId: this.clientId
+    });
     this.readingInterval = setInterval(async () => {
-      if (!this.continueReading) return;
-      await this.#readMessages(callback);
-      await this.#readPendingMessages(callback);
+      // Reading is skipped while every processing slot is taken.
+      if (!this.continueReading || !this.#freeSlots()) return;
+      await this.#read(callback);
     }, this.interval);
   };
 
@@ -149,16 +554,41 @@ export default class Subscriber {
    */
   #continualRead = async (callback) => {
     const _recursiveCall = async (callback) => {
+      // Reading is paused while every processing slot is taken.
+      await this.#waitForSlot();
       if (!this.continueReading) return;
-      await this.#readMessages(callback);
-      await this.#readPendingMessages(callback);
+      await this.#read(callback);
       _recursiveCall(callback);
     };
     try {
-      console.info(`Client ${this.clientId} connecting to ${this.channels} channel for Continual Read`);
+      this.#log.info(`Client ${this.clientId} connecting to ${this.channels} channel for Continual Read`, {
+        status: 'CONNECTING',
+        channels: this.channels,
+        group: this.group,
+        clientId: this.clientId
+      });
       await _recursiveCall(callback);
     } catch (err) {
-      this.logEventError(err);
+      this.#reportError(err);
+    }
+  };
+
+  /**
+   * Read live streaming messages and then pending messages, keeping track of the read in progress.
+   *
+   * @param {function} callback Processing message callback.
+   */
+  #read = async (callback) => {
+    const reading = (async () => {
+      await this.#readMessages(callback);
+      await this.#readPendingMessages(callback);
+    })();
+    const settled = reading.catch(() => {});
+    this.#readings.add(settled);
+    try {
+      await reading;
+    } finally {
+      this.#readings.delete(settled);
     }
   };
 
@@ -168,7 +598,7 @@ export default class Subscriber {
    * @param {function} callback Processing message callback.
    */
   #readMessages = async (callback) => {
-    const streams = await redis.xreadgroup(
+    const streams = await this.#redis.xreadgroup(
       'GROUP',
       this.group,
       this.clientId,
@@ -178,8 +608,8 @@ export default class Subscriber {
       //    2. or until a specified timeout expires
       this.block,
       'COUNT',
-      // Set maximum number of messages carried with each stream check.
-      this.messages,
+      // Set maximum number of messages carried with each stream check (no more than can be processed at once).
+      Math.min(this.messages, this.#freeSlots()),
       'STREAMS',
       ...this.channels,
       // The special character “>” at the end tells Redis Stream to fetch only data
@@ -198,6 +628,8 @@ export default class Subscriber {
           const parsedMessages = this.#parseMessages(messages);
           const { receive, skip } = this.#filterMessages(parsedMessages);
           if (receive.length) {
+            // Messages are recorded by ordering key as soon as they are delivered, so later ones find them.
+            await this.#recordOrdering(channel, receive);
             this.#processMessages(channel, receive, callback);
           }
           if (skip.length) {
@@ -216,60 +648,118 @@ export default class Subscriber {
    */
   #readPendingMessages = async (callback) => {
     for (const channel of this.channels) {
-      const pendingMessages = await redis.xpending(
+      const { receive, reject, deliveries } = await this.#findRetryableMessages(channel);
+      // Only as many messages as can be processed at once are claimed, the rest are left for other consumers.
+      const claimable = receive.slice(0, this.#freeSlots());
+      if (claimable.length) {
+        await this.#claimMessages(channel, claimable, true, callback, deliveries);
+      }
+      if (reject.length) {
+        await this.#claimMessages(channel, reject, false, callback, deliveries);
+      }
+    }
+  };
+
+  /**
+   * Page through the pending messages of a channel looking for the ones that can be retried (or must be rejected),
+   * until as many messages as can be processed at once are found, there are no more pending messages
+   * or PENDING_PAGES_PER_CYCLE pages have been read. Each cycle goes on where the previous one stopped,
+   * so a long PEL is looked through over several cycles instead of at once.
+   * Messages still waiting for their retry do not hide later messages that can already be retried.
+   *
+   * @param {string} channel Channel name.
+   *
+   * @returns {Promise<{
+   *  receive:string[],
+   *  reject:string[],
+   *  deliveries:object
+   * }>} Promise object representing the IDs of the messages to retry and to reject,
+   *     and the number of times each message has been delivered, by message ID.
+   */
+  #findRetryableMessages = async (channel) => {
+    const wanted = Math.min(PENDING_PAGE_SIZE, this.#freeSlots());
+    const found = { receive: [], reject: [], deliveries: {} };
+    const first = this.#pendingCursors.get(channel) || '-';
+    let start = first;
+
+    // At least one page is read, so messages to reject are found even when no message can be processed.
+    for (let page = 0; page < PENDING_PAGES_PER_CYCLE && (!page || found.receive.length < wanted); page++) {
+      const pendingMessages = await this.#redis.xpending(
         channel,
         this.group,
         'IDLE',
         // Read only messages that have not been confirmed in [timeout] time.
-        this.timeout,
-        '-', // Range starts with [init]
+        this.#minTimeout,
+        start, // Range starts with [init]
         '+', // Range finishes with [end]
-        20 // Quantity of messages read per request from PEL
+        PENDING_PAGE_SIZE // Quantity of messages read per request from PEL
       );
 
-      if (pendingMessages.length) {
-        const { receive, reject } = this.#filterPendingMessages(pendingMessages);
-        if (receive.length) {
-          await this.#claimMessages(channel, receive, true, callback);
-        }
-        if (reject.length) {
-          await this.#claimMessages(channel, reject, false, callback);
-        }
+      // Actions are only needed when some route has its own retries or timeout.
+      const actions = pendingMessages.length && this.#routes.some(({ retries, timeout }) => retries !== undefined || timeout !== undefined)
+        ? await this.#readActions(channel, pendingMessages.map(([id]) => id))
+        : {};
+
+      // Retry only messages that have waited as long as the retry policy establishes for their number of attempts.
+      const retryableMessages = pendingMessages.filter(([id, , idle, attempts]) => {
+        const { timeout, retryPolicy } = this.#optionsFor(actions[id]);
+        return idle >= timeout && idle >= retryPolicy.waitingTime(attempts, id);
+      });
+
+      const { receive, reject } = this.#filterPendingMessages(retryableMessages, actions);
+      found.receive.push(...receive);
+      found.reject.push(...reject);
+      retryableMessages.forEach(([id, , , attempts]) => { found.deliveries[id] = attempts; });
+
+      if (pendingMessages.length < PENDING_PAGE_SIZE) {
+        // The end of the PEL has been reached, so the next cycle starts over.
+        start = '-';
+        break;
       }
+      start = `(${pendingMessages[pendingMessages.length - 1][0]}`;
     }
+    // Messages found beyond those that can be processed at once are the first ones looked at in the next cycle.
+    if (found.receive.length > wanted) start = wanted ? `(${found.receive[wanted - 1]}` : first;
+    this.#pendingCursors.set(channel, start);
+
+    return found;
   };
 
   /**
    * Adapt redis records to an established standard of a message structure.
+   * Both named-field envelopes and legacy positional entries are supported (see message.js).
    *
-   * @param {[string,[string,string,string,string]}]} messages Array of redis records.
+   * @param {[string,[string,string,...string]}]} messages Array of redis records.
    *
    * @returns {[{
    *  id:string,
+   *  messageId:string|undefined,
    *  action:string,
    *  data:JSON,
+   *  contentType:string,
+   *  version:string|undefined,
+   *  producerId:string|undefined,
+   *  correlationId:string|undefined,
+   *  timestamp:number|undefined,
+   *  headers:object,
    *  date:number,
+   *  attempts:number,
    *  clientId:string,
    *  group:string|undefined,
+   *  groups:string[]|undefined,
    *  }]} Parsed messages.
    */
   #parseMessages = (messages) => {
     return messages.map((msg) => {
       const id = msg[0];
-      const value = msg[1];
-      let data;
-      try {
-        data = JSON.parse(value[1]);
-      } catch (_) {
-        data = value[1];
-      }
+      const { fields, ...message } = decodeMessage(msg[1]);
       return {
         id,
-        action: value[0],
-        data,
+        ...message,
         date: new Date(+msg[0].split('-')[0]),
-        clientId: this.clientId,
-        group: value[3] // Unique group that should consume the message (if provided)
+        // Live messages are delivered for the first time (see #claimMessages for pending ones).
+        attempts: 1,
+        clientId: this.clientId
       };
     });
   };
@@ -277,9 +767,9 @@ export default class Subscriber {
   /**
    * Decide weather a live message should be received (processed) or skipped.
    *
-   * @param {{
-   *  group:string,
-   *  }} parsedMessages
+   * @param {[{
+   *  groups:string[]|undefined,
+   *  }]} parsedMessages
    *
    * @returns {{
    *  receive:[string],
@@ -289,7 +779,7 @@ export default class Subscriber {
   #filterMessages = (parsedMessages) => {
     return parsedMessages.reduce(
       (acc, msg) => {
-        const shouldReceiveMessage = !msg.group || msg.group === this.group;
+        const shouldReceiveMessage = !msg.groups || msg.groups.includes(this.group);
         if (shouldReceiveMessage) acc.receive.push(msg);
         else acc.skip.push(msg);
         return acc;
@@ -302,16 +792,17 @@ export default class Subscriber {
    * Decides if message should be received (processed) or rejected basing on the number of attempts of processing the message that redis PEL provides.
    *
    * @param {[string,,,number]} pendingMessages Message metadata that provides information about the number of attempts that have been made to process each message.
+   * @param {object} [actions]                  Action of each message, by message ID, so that the retries of its route apply.
    *
    * @returns {{
    *  receive:[string],
    *  reject:[string],
    * }} Filtered messages ids for receiving (processing) and rejecting messages.
    */
-  #filterPendingMessages = (pendingMessages) => {
+  #filterPendingMessages = (pendingMessages, actions = {}) => {
     return pendingMessages.reduce(
       (acc, [id, , , attempts]) => {
-        const hasExceededLimitOfAttempts = attempts > this.retries;
+        const hasExceededLimitOfAttempts = attempts > this.#optionsFor(actions[id]).retries;
         if (hasExceededLimitOfAttempts) acc.reject.push(id);
         else acc.receive.push(id);
         return acc;
@@ -320,6 +811,95 @@ export default class Subscriber {
     );
   };
 
+  /**
+   * Read the action of pending messages.
+   *
+   * @param {string} channel  Channel name.
+   * @param {string[]} ids    Message IDs.
+   *
+   * @returns {Promise<object>} Promise object representing the action of each message still in the channel, by message ID.
+   */
+  #readActions = async (channel, ids) => {
+    const messages = await this.#readMessagesById(channel, ids);
+    return Object.fromEntries(messages.map(({ id, action }) => [id, action]));
+  };
+
+  /**
+   * Read messages of a channel by their IDs, e.g. to inspect pending messages without claiming them.
+   * Messages deleted from the channel are left out.
+   *
+   * @param {string} channel  Channel name.
+   * @param {string[]} ids    Message IDs.
+   *
+   * @returns {Promise<object[]>} Promise object representing the parsed messages.
+   */
+  #readMessagesById = async (channel, ids) => {
+    if (!ids.length) return [];
+    const pipeline = this.#redis.pipeline();
+    ids.forEach((id) => pipeline.xrange(channel, id, id));
+    const entries = (await pipeline.exec()).flatMap(([err, entries]) => (err ? [] : entries));
+    return this.#parseMessages(entries);
+  };
+
+  /**
+   * Route handling an action: exact patterns first, then wildcards in registration order.
+   *
+   * @param {string} action Action.
+   *
+   * @returns {object|undefined} Route, if any.
+   */
+  #routeFor = (action) => {
+    if (action === undefined) return undefined;
+    return (
+      this.#routes.find(({ regexp, pattern }) => !regexp && pattern === action) ||
+      this.#routes.find(({ regexp }) => regexp?.test(action))
+    );
+  };
+
+  /**
+   * Retries, timeout and retry policy applying to the messages of an action.
+   *
+   * @param {string} [action] Action.
+   *
+   * @returns {{ retries:number, timeout:number, retryPolicy:RetryPolicy }} Options.
+   */
+  #optionsFor = (action) => {
+    const route = this.#routeFor(action);
+    return {
+      retries: route?.retries ?? this.retries,
+      timeout: route?.timeout ?? this.timeout,
+      retryPolicy: route?.retryPolicy || this.retryPolicy
+    };
+  };
+
+  /**
+   * Shortest time a message of any action has to be pending before being retried.
+   *
+   * @returns {number} Timeout in milliseconds.
+   */
+  get #minTimeout () {
+    return Math.min(this.timeout, ...this.#routes.map(({ timeout }) => timeout ?? this.timeout));
+  }
+
+  /**
+   * Regular expression matching the actions of a wildcard pattern.
+   *
+   * @param {string} pattern Action pattern.
+   *
+   * @returns {RegExp} Regular expression.
+   */
+  #patternToRegExp = (pattern) => {
+    const source = pattern
+      .split(/(\*\*|\*)/)
+      .map((part) => {
+        if (part === '**') return '.+';
+        if (part === '*') return '[^.]+';
+        return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+    return new RegExp(`^${source}$`);
+  };
+
   /**
    * Receiving messages to process them and handle errors.
    *
@@ -333,42 +913,390 @@ export default class Subscriber {
    */
   #processMessages = (channel, messages, callback) => {
     Promise.all(
-      messages.map(async (message) => {
-        this.#logMessageStatus('RECEIVED', { channel, action: message.action, id: message.id });
+      messages.map((message) =>
+        this.#inOrder(channel, message, async (key) => {
+          await this.#acquireSlot();
+          try {
+            // Messages read while unsubscribing are left pending (and claimed by another consumer).
+            if (!this.continueReading) return;
+            if (key !== undefined && (await this.#waitsForPredecessor(channel, message, key))) {
+              return await this.#deferMessage(channel, message);
+            }
+            await this.#processMessage(channel, message, callback);
+          } finally {
+            this.#releaseSlot();
+          }
+        }).catch((err) => this.#reportError(err, channel, message))
+      )
+    );
+  };
+
+  /**
+   * Process a message and handle errors.
+   *
+   * @param {string}   channel     Channel name.
+   * @param {object}   message     Message taken from channel.
+   * @param {function} callback    Processing message callback.
+   */
+  #processMessage = async (channel, message, callback) => {
+    const handler = this.#routeFor(message.action)?.handler || callback;
+    if (!handler) return await this.#handleUnknownAction(channel, message);
+
+    let leased = false;
+    try {
+      if (this.dedupe) {
+        const lease = await this.#acquireLease(channel, message);
+        if (lease === 'done') {
+          // The message has already been completed (e.g. by a consumer whose ACK was lost), so it is just acknowledged.
+          return await this.#ackMessages(channel, [message], 'DUPLICATED');
+        }
+        if (lease === 'locked') {
+          // Another execution is in progress, so the message is left pending.
+          return this.#logMessageStatus('LOCKED', { channel, action: message.action, id: message.id });
+        }
+        leased = true;
+      }
+      // Messages not matching the schema of their action (see schemas.js) are rejected without calling the callback.
+      this.broker.schemas?.validate(channel, message.action, message.data);
+      this.#logMessageStatus('RECEIVED', { channel, action: message.action, id: message.id });
+      this.emit('received', { channel, ...message });
+      // The lease is renewed while the callback runs, so a claim of a slow message cannot start a second execution.
+      const stopRenewing = leased ? this.#renewLease(channel, message) : () => {};
+      let disposition;
+      try {
+        disposition = await this.#runCallback(channel, message, handler);
+      } finally {
+        stopRenewing();
+      }
+      if (disposition === Disposition.RETRY) {
+        // The message is left pending, so it is retried according to the retry policy.
+        if (leased) await this.#releaseLease(channel, message);
+        return this.#logMessageStatus('RETRIED', { channel, action: message.action, id: message.id });
+      }
+      if (disposition === Disposition.REJECT) {
+        if (leased) await this.#releaseLease(channel, message);
+        return await this.#rejectMessages(channel, [message], new Error('REJECTED', 'Event rejected by the callback'));
+      }
+      if (leased) await this.#completeLease(channel, message);
+      // The acknowledgement is awaited, so the next message with the same ordering key does not find this one pending.
+      await this.#ackMessages(channel, [message], 'CONFIRMED');
+    } catch (err) {
+      if (leased) await this.#releaseLease(channel, message).catch(() => {});
+      // Errors that will never succeed skip the remaining retries.
+      if (err?.retryable === false) return await this.#rejectMessages(channel, [message], err);
+      await this.#recordFailure(channel, message, err).catch(() => {});
+      this.#reportError(err, channel, message);
+    }
+  };
+
+  /**
+   * Apply the unknown action policy to a message whose action has no handler.
+   *
+   * @param {string} channel                          Channel name.
+   * @param {{ id:string, action:string }} message    Message.
+   */
+  #handleUnknownAction = (channel, message) => {
+    if (this.unknownAction === 'ack') return this.#ackMessages(channel, [message], 'CONFIRMED');
+    if (this.unknownAction === 'skip') return this.#ackMessages(channel, [message], 'SKIPPED');
+    return this.#rejectMessages(channel, [message], new Error('UNKNOWN_ACTION', `No handler for action ${message.action}`));
+  };
+
+  /**
+   * Run the processing of a message once the previous messages of the channel with the same ordering key
+   * received by this consumer are done. Messages without ordering key are run right away.
+   *
+   * @param {string} channel    Channel name.
+   * @param {object} message    Message.
+   * @param {function} run      Processing function, called with the ordering key of the message.
+   */
+  #inOrder = async (channel, message, run) => {
+    const key = this.#orderingKeyOf(channel, message);
+    if (key === undefined) return run();
+
+    const chain = JSON.stringify([channel, key]);
+    this.#queued++;
+    const turn = (this.#orderingChains.get(chain) || Promise.resolve()).then(() => {
+      this.#queued--;
+      return run(key);
+    });
+    const settled = turn.catch(() => {});
+    this.#orderingChains.set(chain, settled);
+    try {
+      await turn;
+    } finally {
+      if (this.#orderingChains.get(chain) === settled) this.#orderingChains.delete(chain);
+    }
+  };
+
+  /**
+   * Ordering key of a message, if an `orderingKey` function is set and it returns one.
+   *
+   * @param {string} channel  Channel name.
+   * @param {object} message  Message.
+   *
+   * @returns {string|undefined} Ordering key.
+   */
+  #orderingKeyOf = (channel, message) => {
+    const key = this.orderingKey?.({ channel, ...message });
+    return key === undefined || key === null ? undefined : String(key);
+  };
+
+  /**
+   * Key of the sorted set of the delivered messages of a channel with an ordering key, within this group.
+   *
+   * @param {string} channel  Channel name.
+   * @param {string} key      Ordering key.
+   *
+   * @returns {string} Sorted set key.
+   */
+  #orderingSetKey = (channel, key) => {
+    return `${channel}:${this.group}:ordering:${key}`;
+  };
+
+  /**
+   * Sorted set of the ordering key of each message that has one.
+   *
+   * @param {string} channel            Channel name.
+   * @param {[{ id:string }]} messages  Messages.
+   *
+   * @returns {[[object, string]]} Messages with an ordering key and the key of their sorted set.
+   */
+  #orderingSetsOf = (channel, messages) => {
+    if (!this.orderingKey) return [];
+    return messages
+      .map((message) => {
+        // Messages whose key cannot be computed are never ordered (the error is reported when they are processed).
         try {
-          await callback({ channel, ...message });
-          this.#ackMessages(channel, [message], 'CONFIRMED');
-        } catch (err) {
-          this.logEventError(err, channel, message);
+          return [message, this.#orderingKeyOf(channel, message)];
+        } catch {
+          return [message, undefined];
         }
       })
+      .filter(([, key]) => key !== undefined)
+      .map(([message, key]) => [message, this.#orderingSetKey(channel, key)]);
+  };
+
+  /**
+   * Record delivered messages in the sorted set of their ordering key, until they are acknowledged or rejected.
+   *
+   * @param {string} channel            Channel name.
+   * @param {[{ id:string }]} messages  Messages.
+   */
+  #recordOrdering = async (channel, messages) => {
+    const ordered = this.#orderingSetsOf(channel, messages);
+    if (!ordered.length) return;
+    const pipeline = this.#redis.pipeline();
+    ordered.forEach(([{ id }, set]) => pipeline.zadd(set, id.split('-')[0], id));
+    await pipeline.exec();
+  };
+
+  /**
+   * Check whether a message with the same ordering key delivered to the group before this one is still pending,
+   * because it is being processed by another consumer or it is waiting to be retried.
+   * The check looks only at the messages recorded for the key, so it costs a single request.
+   *
+   * @param {string} channel          Channel name.
+   * @param {{ id:string }} message   Message.
+   * @param {string} key              Ordering key of the message.
+   *
+   * @returns {Promise<boolean>} Promise object representing whether the message must wait.
+   */
+  #waitsForPredecessor = async (channel, message, key) => {
+    return (await this.#redis.redismbCheckOrdering(this.#orderingSetKey(channel, key), channel, this.group, message.id)) === 1;
+  };
+
+  /**
+   * Leave a message pending until its pending predecessor with the same ordering key is done.
+   * Its delivery counter is set back, so that waiting does not use up its retries.
+   *
+   * @param {string} channel  Channel name.
+   * @param {{
+   *  id:string,
+   *  action:string,
+   *  attempts:number
+   * }} message               Message.
+   */
+  #deferMessage = async (channel, message) => {
+    await this.#redis.xclaim(
+      channel,
+      this.group,
+      this.clientId,
+      0,
+      message.id,
+      'RETRYCOUNT',
+      message.attempts - 1,
+      'JUSTID'
     );
+    this.#logMessageStatus('DEFERRED', { channel, action: message.action, id: message.id });
+  };
+
+  /**
+   * Number of messages that can still be processed at once.
+   *
+   * @returns {number} Free processing slots.
+   */
+  #freeSlots = () => {
+    // Messages waiting for a previous one with the same ordering key are counted, so they do not pile up.
+    return Math.max(this.concurrency - this.#inFlight - this.#queued, 0);
+  };
+
+  /**
+   * Wait until a processing slot is free.
+   */
+  #waitForSlot = async () => {
+    while (!this.#freeSlots()) {
+      await new Promise((resolve) => this.#slotWaiters.push(resolve));
+    }
+  };
+
+  /**
+   * Take a processing slot, waiting until one is free.
+   */
+  #acquireSlot = async () => {
+    // The slot is taken right after checking it is free (without awaiting in between), so it cannot be taken twice.
+    while (this.#inFlight >= this.concurrency) {
+      await new Promise((resolve) => this.#slotWaiters.push(resolve));
+    }
+    this.#inFlight++;
+  };
+
+  /**
+   * Free a processing slot, waking up everyone waiting for one (they check again whether it is still free).
+   */
+  #releaseSlot = () => {
+    this.#inFlight--;
+    this.#slotWaiters.splice(0).forEach((resolve) => resolve());
+  };
+
+  /**
+   * Run the processing callback of a message, recording its duration and errors.
+   * If OpenTelemetry is set up, the callback runs within a consumer span (see tracing.js).
+   *
+   * @param {string} channel    Channel name.
+   * @param {object} message    Message.
+   * @param {function} callback Processing message callback.
+   *
+   * @returns {Promise<string|undefined>} Promise object representing the disposition returned by the callback.
+   */
+  #runCallback = async (channel, message, callback) => {
+    const labels = { channel, group: this.group, action: message.action };
+    const span = startConsumerSpan({ ...message, channel, group: this.group });
+    const start = performance.now();
+    try {
+      const disposition = await span.run(() => callback({ channel, ...message }));
+      span.end();
+      return disposition;
+    } catch (err) {
+      this.metrics.increment(METRICS.HANDLER_ERRORS, labels);
+      span.end(err);
+      throw err;
+    } finally {
+      this.metrics.observe(METRICS.HANDLER_DURATION, labels, (performance.now() - start) / 1000);
+    }
+  };
+
+  /**
+   * Take the processing lease of a message (only when dedupe mode is enabled).
+   *
+   * @param {string} channel                          Channel name.
+   * @param {{ id:string, messageId:string }} message Message.
+   *
+   * @returns {Promise<string>} Promise object representing the lease state: 'acquired', 'locked' or 'done'.
+   */
+  #acquireLease = (channel, message) => {
+    return this.#redis.redismbAcquireLease(this.#dedupeKey(channel, message), this.clientId, this.dedupe.lease);
+  };
+
+  /**
+   * Keep renewing the processing lease of a message (every third of the lease time) until the returned function is called.
+   *
+   * @param {string} channel                          Channel name.
+   * @param {{ id:string, messageId:string }} message Message.
+   *
+   * @returns {function} Function stopping the renewal.
+   */
+  #renewLease = (channel, message) => {
+    const timer = setInterval(() => {
+      this.#redis.redismbRenewLease(this.#dedupeKey(channel, message), this.clientId, this.dedupe.lease).catch((err) => {
+        this.#log.warn(`Lease of ${message.id} could not be renewed: ${err.message}`, {
+          status: 'LEASE_NOT_RENEWED',
+          channel,
+          action: message.action,
+          id: message.id,
+          group: this.group,
+          clientId: this.clientId,
+          error: err
+        });
+      });
+    }, Math.max(Math.floor(this.dedupe.lease / 3), 1));
+    return () => clearInterval(timer);
+  };
+
+  /**
+   * Mark a message as completed, so that it is not processed again by the group while the record is kept.
+   *
+   * @param {string} channel                          Channel name.
+   * @param {{ id:string, messageId:string }} message Message.
+   */
+  #completeLease = (channel, message) => {
+    return this.#redis.set(this.#dedupeKey(channel, message), 'done', 'PX', this.dedupe.ttl);
+  };
+
+  /**
+   * Release the processing lease of a message, so that it can be retried.
+   *
+   * @param {string} channel                          Channel name.
+   * @param {{ id:string, messageId:string }} message Message.
+   */
+  #releaseLease = (channel, message) => {
+    return this.#redis.redismbReleaseLease(this.#dedupeKey(channel, message), this.clientId);
+  };
+
+  /**
+   * Deduplication key of a message. The message id is preferred over the stream ID, so that it survives republishing.
+   *
+   * @param {string} channel                          Channel name.
+   * @param {{ id:string, messageId:string }} message Message.
+   *
+   * @returns {string} Deduplication key.
+   */
+  #dedupeKey = (channel, { id, messageId }) => {
+    return `${channel}:${this.group}:dedupe:${messageId || id}`;
   };
 
   /**
    * Claim pending messages either for confirm them or reject them.
    * Messages that have been taken for processing and have not yet been confirmed.
    *
-   * @param {string} channel               Channel name.
-   * @param {[string]} ids                 Array of redis messages.
-   * @param {boolean} shouldProcessMessage Indicates if messages i claimed to be received or rejected.
-   * @param {function} callback            Processing message callback.
+   * @param {string} channel                Channel name.
+   * @param {[string]} ids                  Array of redis messages.
+   * @param {boolean} shouldProcessMessage  Indicates if messages i claimed to be received or rejected.
+   * @param {function} callback             Processing message callback.
+   * @param {object} deliveries             Number of times each message has been delivered, by message ID.
    */
-  #claimMessages = async (channel, ids, shouldProcessMessage, callback) => {
-    const claimedMessages = await redis.xclaim(
+  #claimMessages = async (channel, ids, shouldProcessMessage, callback, deliveries) => {
+    const claimedMessages = await this.#redis.xclaim(
       channel,
       this.group,
       this.clientId,
-      this.timeout,
+      this.#minTimeout,
       ...ids
     );
 
     if (claimedMessages?.some((msg) => !!msg)) {
-      const parsedMessages = this.#parseMessages(claimedMessages.filter((msg) => !!msg));
+      const parsedMessages = this.#parseMessages(claimedMessages.filter((msg) => !!msg)).map((message) => ({
+        ...message,
+        // Claiming a message for processing delivers it once more.
+        attempts: deliveries[message.id] + (shouldProcessMessage ? 1 : 0)
+      }));
       if (shouldProcessMessage) {
+        parsedMessages.forEach((message) => {
+          this.metrics.increment(METRICS.RECLAIMED, { channel, group: this.group, action: message.action });
+          this.emit('claimed', { channel, ...message });
+        });
         this.#processMessages(channel, parsedMessages, callback);
       } else {
-        this.#rejectMessages(channel, parsedMessages);
+        await this.#rejectMessages(channel, parsedMessages).catch((err) => this.#reportError(err, channel));
       }
     }
   };
@@ -384,47 +1312,204 @@ export default class Subscriber {
    * @param {string} status   Message status.
    */
   #ackMessages = async (channel, messages, status) => {
-    await redis.xack(channel, this.group, ...messages.map(({ id }) => id));
-    messages.forEach(({ action, id }) => {
-      this.#logMessageStatus(status, { channel, action, id });
+    const ids = messages.map(({ id }) => id);
+    // Failures recorded by previous attempts are no longer needed once a retried message is acknowledged.
+    const retried = messages.filter(({ attempts }) => attempts > 1);
+    // Acknowledged messages no longer hold up the later messages with their ordering key.
+    const ordered = this.#orderingSetsOf(channel, messages);
+    if (retried.length || ordered.length) {
+      const transaction = this.#redis.multi().xack(channel, this.group, ...ids);
+      if (retried.length) transaction.del(...retried.map((message) => this.#failureKey(channel, message)));
+      ordered.forEach(([{ id }, set]) => transaction.zrem(set, id));
+      await transaction.exec();
+    } else {
+      await this.#redis.xack(channel, this.group, ...ids);
+    }
+    messages.forEach((message) => {
+      this.#logMessageStatus(status, { channel, action: message.action, id: message.id });
+      if (STATUS_EVENTS[status]) this.emit(STATUS_EVENTS[status], { channel, ...message });
     });
   };
 
   /**
-   * Reject and remove messages from PEL and move to specific stream of rejected messages.
+   * Keep the last processing failure of a message, so that it is recorded when the message is rejected
+   * (the last retry may be made by another consumer).
+   *
+   * @param {string} channel         Channel name.
+   * @param {{ id:string }} message  Message.
+   * @param {Error} err              Processing error.
+   */
+  #recordFailure = async (channel, message, err) => {
+    const key = this.#failureKey(channel, message);
+    await this.#redis
+      .multi()
+      .hsetnx(key, 'firstSeenAt', Date.now())
+      .hset(key, 'error', err?.message ?? String(err), 'stack', err?.stack ?? '', 'consumer', this.clientId)
+      .pexpire(key, FAILURE_TTL)
+      .exec();
+  };
+
+  /**
+   * Read the last processing failure recorded for a message.
+   *
+   * @param {string} channel         Channel name.
+   * @param {{ id:string }} message  Message.
+   *
+   * @returns {Promise<{ firstSeenAt:string, error:string, stack:string, consumer:string }|{}>} Recorded failure.
+   */
+  #readFailure = async (channel, message) => {
+    return (await this.#redis.hgetall(this.#failureKey(channel, message))) || {};
+  };
+
+  /**
+   * Key of the last processing failure of a message within this group.
+   *
+   * @param {string} channel         Channel name.
+   * @param {{ id:string }} message  Message.
+   *
+   * @returns {string} Failure key.
+   */
+  #failureKey = (channel, { id }) => {
+    return `${channel}:${this.group}:failures:${id}`;
+  };
+
+  /**
+   * Reject and remove messages from PEL and move them to the dead-letter stream.
+   * Rejection entries record the original message ID, the last processing error (and its validation errors, if any),
+   * the number of attempts, when the message was first seen failing and rejected, and the rejecting consumer.
    *
    * @param {string} channel Channel name.
    * @param {[{
    *  action:string,
-   *  id:string
+   *  id:string,
+   *  attempts:number
    * }]} messages            Messages.
+   * @param {Error} [error]   Rejection reason (by default, the maximum number of retries has been exceeded).
    */
-  #rejectMessages = async (channel, messages) => {
-    await this.#ackMessages(channel, messages, 'REJECTED');
+  #rejectMessages = async (channel, messages, error) => {
+    if (this.dedupe) messages = await this.#filterCompletedMessages(channel, messages);
+    if (!messages.length) return;
 
-    Promise.all(
-      messages.map(async (message) => {
-        this.logEventError(new Error('MAX_RETRIES', 'Event exceed max retries'), channel, message);
-        const { action, data } = message;
-        return redis.xadd(
-          'rejections',
-          '*',
-          action,
-          JSON.stringify(data),
-          this.group,
-          channel
-        );
-      })
+    const failures = await Promise.all(messages.map((message) => this.#readFailure(channel, message)));
+    const rejectedAt = Date.now();
+    // Messages exceeding the retries are recorded with the last error thrown by the callback, if any.
+    const reason = error || new Error('MAX_RETRIES', 'Event exceed max retries');
+
+    const { stream, maxLength, maxAge } = this.deadLetter;
+    const deadLetterStream = typeof stream === 'function' ? stream(channel, this.group) : stream;
+    const entries = messages.flatMap((message, i) => {
+      const failure = failures[i];
+      // The rejecting group is written as target group, so that reprocessed messages are only consumed by it.
+      const entry = encodeMessage({ ...message, group: this.group }, {
+        channel,
+        originalId: message.id,
+        error: error ? error.message : failure.error || reason.message,
+        stack: error ? error.stack : failure.stack || reason.stack,
+        validationErrors: error?.errors && JSON.stringify(error.errors),
+        attempts: message.attempts,
+        consumer: this.clientId,
+        firstSeenAt: failure.firstSeenAt || rejectedAt,
+        rejectedAt
+      });
+      return [message.id, entry.length, ...entry];
+    });
+    const failureKeys = messages.map((message) => this.#failureKey(channel, message));
+
+    // Messages are only acknowledged once they have been written to the dead-letter stream, at once.
+    // Entries older than maxAge are trimmed by their ID, which is the time they were rejected.
+    await this.#redis.redismbRejectMessages(
+      3 + failureKeys.length,
+      channel,
+      deadLetterStream,
+      DEAD_LETTERS_KEY,
+      ...failureKeys,
+      this.group,
+      maxLength || '',
+      maxAge ? Date.now() - maxAge : '',
+      ...entries
     );
+    // Rejected messages no longer hold up the later messages with their ordering key.
+    const ordered = this.#orderingSetsOf(channel, messages);
+    if (ordered.length) {
+      const pipeline = this.#redis.pipeline();
+      ordered.forEach(([{ id }, set]) => pipeline.zrem(set, id));
+      await pipeline.exec();
+    }
+
+    messages.forEach((message) => {
+      this.#logMessageStatus('REJECTED', { channel, action: message.action, id: message.id });
+      this.emit('rejected', { channel, ...message }, reason);
+      this.#reportError(reason, channel, message);
+    });
   };
 
   /**
-   * Log message status information.
+   * Leave out messages that must not be rejected (only when dedupe mode is enabled):
+   * completed messages are acknowledged and messages with an execution in progress are left pending.
    *
-   * @param {string} status                                           Message status.
-   * @param {{ channel:string, action:string, id:string }} message    Message channel, action and id.
+   * @param {string} channel Channel name.
+   * @param {[{
+   *  action:string,
+   *  id:string
+   * }]} messages            Messages.
+   *
+   * @returns {Promise<Array>} Promise object representing the messages that can be rejected.
+   */
+  #filterCompletedMessages = async (channel, messages) => {
+    const leases = await Promise.all(messages.map((message) => this.#acquireLease(channel, message)));
+
+    const completed = messages.filter((_, i) => leases[i] === 'done');
+    if (completed.length) await this.#ackMessages(channel, completed, 'DUPLICATED');
+
+    const rejectable = messages.filter((_, i) => leases[i] === 'acquired');
+    // Rejected messages are released, so that they can be processed again if they are reprocessed.
+    await Promise.all(rejectable.map((message) => this.#releaseLease(channel, message)));
+
+    return rejectable;
+  };
+
+  /**
+   * Redis connection of the broker this subscriber is bound to.
+   *
+   * @returns {Redis} Redis connection.
+   */
+  get #redis () {
+    return this.broker.connection();
+  }
+
+  get #log () {
+    return this.#logger || this.broker.logger;
+  }
+
+  /**
+   * Report an error to the error callback and to the 'error' event listeners, if any
+   * (an 'error' event without listeners would throw).
+   *
+   * @param {Error} err           Error.
+   * @param {string} [channel]    Channel name.
+   * @param {object} [message]    Message being processed.
+   */
+  #reportError = (err, channel, message) => {
+    if (this.listenerCount('error')) this.emit('error', err, message && { channel, ...message });
+    this.logEventError(err, channel, message);
+  };
+
+  /**
+   * Log message status information and increment its counter.
+   *
+   * @param {string} status                                         Message status.
+   * @param {{ channel:string, action:string, id:string }} message  Message channel, action and id.
    */
   #logMessageStatus = (status, { channel, action, id }) => {
-    console.info(`[${new Date().toISOString()}] ${status} ${channel} ${action} ${id}`);
+    const level = status === 'REJECTED' ? 'warn' : 'info';
+    this.#log[level](`${status} ${channel} ${action} ${id}`, {
+      status,
+      channel,
+      action,
+      id,
+      group: this.group,
+      clientId: this.clientId
+    });
+    if (STATUS_METRICS[status]) this.metrics.increment(STATUS_METRICS[status], { channel, group: this.group, action });
   };
 }
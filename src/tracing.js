@@ -0,0 +1,121 @@
+/**
+ * OpenTelemetry integration.
+ *
+ * When `@opentelemetry/api` is installed, publishers create a producer span per message and inject its trace context
+ * into the message headers (`traceparent` and `tracestate` with the W3C propagator), and subscribers extract it
+ * to wrap each callback invocation in a consumer span, so a request can be followed across services.
+ * Spans are only recorded (and headers only written) when a tracer provider and a propagator are registered.
+ */
+let api = null;
+try {
+  api = await import('@opentelemetry/api');
+} catch {
+  // @opentelemetry/api is an optional dependency, so tracing is disabled when it is not installed.
+}
+
+const TRACER_NAME = 'redismb';
+
+// Span attributes, following the OpenTelemetry semantic conventions for messaging systems where they apply.
+export const ATTRIBUTES = {
+  SYSTEM: 'messaging.system',
+  OPERATION: 'messaging.operation',
+  CHANNEL: 'messaging.destination.name',
+  GROUP: 'messaging.consumer.group.name',
+  ID: 'messaging.message.id',
+  ACTION: 'messaging.redismb.action',
+  ATTEMPT: 'messaging.redismb.attempt'
+};
+
+const noopSpan = {
+  inject: (headers) => headers,
+  run: (fn) => fn(),
+  end: () => {}
+};
+
+/**
+ * Start the producer span of a message in the active context.
+ *
+ * @param {string} channel  Channel name.
+ * @param {string} action   Action to perform.
+ *
+ * @returns {{
+ *  inject:function,
+ *  end:function
+ * }} Span handle: `inject(headers)` returns the headers with the trace context and `end(error, id)` ends the span.
+ */
+export function startProducerSpan (channel, action) {
+  if (!api) return noopSpan;
+
+  const { trace, context, propagation, SpanKind } = api;
+  const span = trace.getTracer(TRACER_NAME).startSpan(`publish ${channel}`, {
+    kind: SpanKind.PRODUCER,
+    attributes: {
+      [ATTRIBUTES.SYSTEM]: 'redis',
+      [ATTRIBUTES.OPERATION]: 'publish',
+      [ATTRIBUTES.CHANNEL]: channel,
+      [ATTRIBUTES.ACTION]: action
+    }
+  });
+  const spanContext = trace.setSpan(context.active(), span);
+
+  return {
+    inject: (headers) => {
+      const carrier = {};
+      propagation.inject(spanContext, carrier);
+      // Headers are left untouched when there is nothing to propagate.
+      return Object.keys(carrier).length ? { ...headers, ...carrier } : headers;
+    },
+    end: (error, id) => endSpan(span, error, id)
+  };
+}
+
+/**
+ * Start the consumer span of a message, as a child of the trace context carried by its headers.
+ *
+ * @param {{
+ *  channel:string,
+ *  group:string,
+ *  action:string,
+ *  id:string,
+ *  attempts:number,
+ *  headers:object|undefined
+ * }} message Message being processed.
+ *
+ * @returns {{
+ *  run:function,
+ *  end:function
+ * }} Span handle: `run(fn)` calls fn with the span as active span and `end(error)` ends the span.
+ */
+export function startConsumerSpan ({ channel, group, action, id, attempts, headers }) {
+  if (!api) return noopSpan;
+
+  const { trace, context, propagation, SpanKind } = api;
+  const parentContext = propagation.extract(context.active(), headers || {});
+  const span = trace.getTracer(TRACER_NAME).startSpan(`process ${channel}`, {
+    kind: SpanKind.CONSUMER,
+    attributes: {
+      [ATTRIBUTES.SYSTEM]: 'redis',
+      [ATTRIBUTES.OPERATION]: 'process',
+      [ATTRIBUTES.CHANNEL]: channel,
+      [ATTRIBUTES.GROUP]: group,
+      [ATTRIBUTES.ID]: id,
+      [ATTRIBUTES.ACTION]: action,
+      [ATTRIBUTES.ATTEMPT]: attempts
+    }
+  }, parentContext);
+  const spanContext = trace.setSpan(parentContext, span);
+
+  return {
+    run: (fn) => context.with(spanContext, fn),
+    end: (error) => endSpan(span, error)
+  };
+}
+
+function endSpan (span, error, id) {
+  if (id) span.setAttribute(ATTRIBUTES.ID, id);
+  if (error) {
+    span.recordException(error);
+    span.setStatus({ code: api.SpanStatusCode.ERROR, message: error.message });
+  }
+  span.end();
+}
@@ -0,0 +1,138 @@
+import { expect } from 'chai';
+import Redis from 'ioredis';
+import redismb from '../src/redismb.js';
+import RedisMessageBroker, { createBroker } from '../src/broker.js';
+import Publisher from '../src/publisher.js';
+import Subscriber from '../src/subscriber.js';
+
+const _sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Redis Message Broker', () => {
+  const redisUri = 'redis://localhost:6379';
+
+  describe('createBroker', () => {
+    let broker;
+    afterEach(async () => {
+      await broker.stop();
+    });
+    it('should create a broker with an established Redis connection', async () => {
+      broker = await createBroker(redisUri);
+      expect(broker).to.be.an.instanceof(RedisMessageBroker);
+      expect(broker.redis).to.be.an.instanceof(Redis);
+    });
+  });
+
+  describe('connection', () => {
+    it('should throw an error if Redis connection is not established', () => {
+      const broker = new RedisMessageBroker();
+      expect(() => broker.connection()).to.throw('REDIS_CONNECTION');
+    });
+  });
+
+  describe('publisher and subscriber', () => {
+    let broker;
+    beforeEach(async () => {
+      broker = await createBroker(redisUri);
+    });
+    afterEach(async () => {
+      await broker.stop();
+    });
+    it('should create a publisher bound to the broker', () => {
+      const publisher = broker.publisher({ channel: 'broker-channel' });
+      expect(publisher).to.be.an.instanceof(Publisher);
+      expect(publisher.broker).to.equal(broker);
+    });
+    it('should create a subscriber bound to the broker', async () => {
+      const subscriber = broker.subscriber({ channels: ['broker-channel'], group: 'group' });
+      expect(subscriber).to.be.an.instanceof(Subscriber);
+      expect(subscriber.broker).to.equal(broker);
+      await broker.redis.xgroup('DESTROY', 'broker-channel', 'group');
+    });
+    it('should drain every subscriber of the broker', async () => {
+      const subscriber = broker.subscriber({ channels: ['broker-channel'], group: 'group' });
+      subscriber.subscribe(async () => {});
+      expect(broker.subscribers.has(subscriber)).to.equal(true);
+      await _sleep(100); // Wait for the group to be created
+      const [{ channels, result }] = await broker.drain(5000);
+      expect(channels).to.deep.equal(['broker-channel']);
+      expect(result).to.equal('OK');
+      expect(broker.subscribers.size).to.equal(0);
+      await broker.redis.xgroup('DESTROY', 'broker-channel', 'group');
+    });
+  });
+
+  describe('isolation', () => {
+    let broker;
+    beforeEach(async () => {
+      broker = await createBroker(redisUri);
+    });
+    afterEach(async () => {
+      await broker.stop();
+    });
+    it('should publish through its own connection while the default broker is stopped', async () => {
+      await redismb.stop();
+      const id = await broker.publisher({ channel: 'broker-channel' }).publish('action', { foo: 'bar' });
+
+      const messages = await broker.redis.xrange('broker-channel', '-', '+');
+      expect(messages).to.have.lengthOf(1);
+      expect(messages[0][0]).to.equal(id);
+      await broker.redis.xdel('broker-channel', id);
+
+      let error;
+      try {
+        await new Publisher({ channel: 'broker-channel' }).publish('action', { foo: 'bar' });
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.equal('REDIS_CONNECTION');
+    });
+  });
+
+  describe('introspection', () => {
+    let broker, ids;
+    beforeEach(async () => {
+      broker = await createBroker(redisUri);
+      ids = [];
+      for (const data of [1, 2, 3]) ids.push(await broker.redis.xadd('broker-info-channel', '*', 'action', JSON.stringify(data)));
+      await broker.redis.xgroup('CREATE', 'broker-info-channel', 'group', '0');
+      await broker.redis.xreadgroup('GROUP', 'group', 'consumer', 'COUNT', 2, 'STREAMS', 'broker-info-channel', '>');
+    });
+    afterEach(async () => {
+      await broker.redis.del('broker-info-channel');
+      await broker.stop();
+    });
+    it('should get the channel information', async () => {
+      const info = await broker.getChannelInfo('broker-info-channel');
+      expect(info.channel).to.equal('broker-info-channel');
+      expect(info.length).to.equal(3);
+      expect(info.firstId).to.equal(ids[0]);
+      expect(info.lastId).to.equal(ids[2]);
+      expect(info.groups.map(({ group }) => group)).to.deep.equal(['group']);
+    });
+    it('should get the group lag, pending count and oldest pending message', async () => {
+      const info = await broker.getGroupInfo('broker-info-channel', 'group');
+      expect(info.consumers).to.equal(1);
+      expect(info.pending).to.equal(2);
+      expect(info.lastDeliveredId).to.equal(ids[1]);
+      // XINFO GROUPS only reports the lag from Redis 7 on.
+      const [, major] = (await broker.redis.info('server')).match(/redis_version:(\d+)/);
+      expect(info.lag).to.equal(Number(major) >= 7 ? 1 : null);
+      expect(info.oldestPending.id).to.equal(ids[0]);
+      expect(info.oldestPending.consumer).to.equal('consumer');
+      expect(info.oldestPending.deliveries).to.equal(1);
+      expect(info.oldestPending.age).to.be.at.least(0);
+    });
+    it('should get the consumers of a group', async () => {
+      const consumers = await broker.getConsumers('broker-info-channel', 'group');
+      expect(consumers).to.have.lengthOf(1);
+      expect(consumers[0].name).to.equal('consumer');
+      expect(consumers[0].pending).to.equal(2);
+      expect(consumers[0].idle).to.be.a('number');
+    });
+    it('should report missing channels and groups', async () => {
+      expect(await broker.getChannelInfo('broker-missing-channel')).to.equal(null);
+      expect(await broker.getGroupInfo('broker-info-channel', 'missing')).to.equal(null);
+      expect(await broker.getConsumers('broker-info-channel', 'missing')).to.deep.equal([]);
+    });
+  });
+});
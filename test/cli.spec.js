@@ -0,0 +1,123 @@
+import { expect } from 'chai';
+import { Writable } from 'node:stream';
+import redismb from '../src/redismb.js';
+import { run, formatTable, toFilters } from '../src/cli.js';
+import { encodeMessage } from '../src/message.js';
+
+// Writable stream keeping everything written to it.
+const output = () => {
+  const stream = new Writable({
+    write (chunk, encoding, callback) {
+      stream.text += chunk;
+      callback();
+    }
+  });
+  stream.text = '';
+  return stream;
+};
+
+describe('Command Line Interface', () => {
+  describe('formatTable', () => {
+    it('should align the columns of the rows', () => {
+      const table = formatTable([{ id: '1-0', action: 'action' }, { id: '10-0', action: 'other', data: { foo: 'bar' } }], ['id', 'action', 'data']);
+      expect(table.split('\n')).to.deep.equal([
+        'ID    ACTION  DATA',
+        '1-0   action',
+        '10-0  other   {"foo":"bar"}'
+      ]);
+    });
+
+    it('should format a single object as a key/value table', () => {
+      expect(formatTable({ lastDeliveredId: '1-0' }).split('\n')).to.deep.equal(['KEY              VALUE', 'lastDeliveredId  1-0']);
+    });
+
+    it('should report when there are no rows', () => {
+      expect(formatTable([])).to.equal('(no results)');
+    });
+  });
+
+  describe('toFilters', () => {
+    it('should build the rejected messages filters from the options', () => {
+      const filters = toFilters({ stream: ['dlq'], id: ['1-0'], from: '1000', to: '2024-01-01T00:00:00.000Z', action: 'action', limit: '10' });
+      expect(filters.streams).to.deep.equal(['dlq']);
+      expect(filters.ids).to.deep.equal(['1-0']);
+      expect(filters.from.getTime()).to.equal(1000);
+      expect(filters.to.toISOString()).to.equal('2024-01-01T00:00:00.000Z');
+      expect(filters.action).to.equal('action');
+      expect(filters.limit).to.equal(10);
+    });
+
+    it('should throw an error if the limit is not a positive integer', () => {
+      for (const limit of ['abc', '0', '-1', '1.5', '']) {
+        expect(() => toFilters({ limit })).to.throw(`Invalid --limit: ${limit}`);
+      }
+    });
+  });
+
+  describe('run', () => {
+    it('should print the usage with --help', async () => {
+      const stdout = output();
+      expect(await run(['--help'], { stdout })).to.equal(0);
+      expect(stdout.text).to.match(/^Usage: redismb/);
+    });
+
+    it('should fail with an unknown command', async () => {
+      const stderr = output();
+      expect(await run(['unknown'], { stderr })).to.equal(1);
+      expect(stderr.text).to.match(/^Unknown command: unknown/);
+    });
+
+    it('should check the arguments before connecting to Redis', async () => {
+      // Nothing listens on this port, so any connection attempt would fail with another error.
+      const env = { REDIS_URI: 'redis://localhost:1' };
+      for (const [argv, error] of [
+        [['rejected', 'read', '--limit', 'abc'], 'Invalid --limit: abc'],
+        [['rejected', 'unknown'], 'Unknown rejected operation: unknown'],
+        [['rejected', 'delete'], 'Deleting every rejected message requires --all'],
+        [['pending', 'channel'], 'Missing <group> argument']
+      ]) {
+        const stderr = output();
+        expect(await run(argv, { stderr, env })).to.equal(1);
+        expect(stderr.text).to.have.string(`Error: ${error}`);
+      }
+    });
+
+    it('should not delete rejected messages without filters or --all', async () => {
+      const env = { REDIS_URI: 'redis://localhost:6379' };
+      let redis = await redismb.bootstrap(env.REDIS_URI);
+      await redis.sadd('redismb:dead-letters', 'redismb-cli-channel:group:dlq');
+      await redis.xadd('redismb-cli-channel:group:dlq', '*', ...encodeMessage({ action: 'action', data: {} }));
+      await redismb.stop();
+
+      const stderr = output();
+      expect(await run(['rejected', 'delete', '--limit', '10'], { stderr, env })).to.equal(1);
+      expect(stderr.text).to.match(/requires --all/);
+
+      const deleted = output();
+      expect(await run(['rejected', 'delete', '--stream', 'redismb-cli-channel:group:dlq', '--json'], { stdout: deleted, env })).to.equal(0);
+      expect(JSON.parse(deleted.text).count).to.equal(1);
+
+      redis = await redismb.bootstrap(env.REDIS_URI);
+      await redis.srem('redismb:dead-letters', 'redismb-cli-channel:group:dlq');
+      await redismb.stop();
+    });
+
+    it('should publish a test message and list the channel', async () => {
+      const env = { REDIS_URI: 'redis://localhost:6379' };
+      const published = output();
+      expect(await run(['publish', 'redismb-cli-channel', 'action', '{"foo":"bar"}', '--json'], { stdout: published, env })).to.equal(0);
+      const { id } = JSON.parse(published.text);
+
+      const channels = output();
+      expect(await run(['channels', '--json'], { stdout: channels, env })).to.equal(0);
+      const channel = JSON.parse(channels.text).find(({ channel }) => channel === 'redismb-cli-channel');
+      expect(channel.length).to.equal(1);
+
+      const redis = await redismb.bootstrap(env.REDIS_URI);
+      const [[lastId]] = await redis.xrange('redismb-cli-channel', '-', '+');
+      expect(lastId).to.equal(id);
+      await redis.del('redismb-cli-channel');
+      await redismb.stop();
+    });
+  });
+});
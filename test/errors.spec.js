@@ -0,0 +1,16 @@
+import { expect } from 'chai';
+import { NonRetryableError } from '../src/errors.js';
+
+describe('Errors', () => {
+  describe('NonRetryableError', () => {
+    it('should be a non-retryable error keeping its message and cause', () => {
+      const cause = new Error('cause');
+      const error = new NonRetryableError('Invalid data', { cause });
+      expect(error).to.be.an.instanceOf(Error);
+      expect(error.name).to.equal('NonRetryableError');
+      expect(error.message).to.equal('Invalid data');
+      expect(error.retryable).to.equal(false);
+      expect(error.cause).to.equal(cause);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import { expect } from 'chai';
+import { spy, stub } from 'sinon';
+import { createLogger } from '../src/logger.js';
+
+describe('Logger', () => {
+  describe('createLogger', () => {
+    it('should write structured records leaving out undefined fields', () => {
+      const logger = { debug: spy(), info: spy(), warn: spy(), error: spy() };
+      createLogger(logger).info('PUBLISHED channel action 1-0', {
+        status: 'PUBLISHED',
+        channel: 'channel',
+        action: 'action',
+        id: '1-0',
+        group: undefined
+      });
+
+      expect(logger.info.calledOnce).to.equal(true);
+      expect(logger.info.firstCall.args).to.deep.equal([{
+        message: 'PUBLISHED channel action 1-0',
+        status: 'PUBLISHED',
+        channel: 'channel',
+        action: 'action',
+        id: '1-0'
+      }]);
+      expect(logger.info.firstCall.thisValue).to.equal(logger);
+    });
+
+    it('should only write records of the configured level or above', () => {
+      const logger = { debug: spy(), info: spy(), warn: spy(), error: spy() };
+      const log = createLogger(logger, 'warn');
+      log.debug('debug');
+      log.info('info');
+      log.warn('warn');
+      log.error('error');
+
+      expect(logger.debug.called).to.equal(false);
+      expect(logger.info.called).to.equal(false);
+      expect(logger.warn.calledOnce).to.equal(true);
+      expect(logger.error.calledOnce).to.equal(true);
+    });
+
+    it('should write nothing when the level is silent', () => {
+      const logger = { debug: spy(), info: spy(), warn: spy(), error: spy() };
+      createLogger(logger, 'silent').error('error');
+
+      expect(logger.error.called).to.equal(false);
+    });
+
+    it('should fall back to info when the logger has no method for the level', () => {
+      const logger = { info: spy() };
+      createLogger(logger, 'debug').debug('debug');
+
+      expect(logger.info.calledOnceWith({ message: 'debug' })).to.equal(true);
+    });
+
+    it('should write to the console by default', () => {
+      const info = stub(console, 'info');
+      try {
+        createLogger().info('CONFIRMED channel action 1-0', { status: 'CONFIRMED' });
+      } finally {
+        info.restore();
+      }
+
+      expect(info.calledOnce).to.equal(true);
+      expect(info.firstCall.args[0]).to.match(/^\[.+\] CONFIRMED channel action 1-0$/);
+    });
+
+    it('should throw an error if the level is unknown', () => {
+      expect(() => createLogger(console, 'verbose')).to.throw();
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import { expect } from 'chai';
+import { decodeMessage, encodeMessage, isEnvelope, targetFields } from '../src/message.js';
+
+describe('Message', () => {
+  describe('encodeMessage', () => {
+    it('should encode a named-field envelope', () => {
+      const values = encodeMessage({ action: 'action', data: { foo: 'bar' }, headers: { tenant: 'tenant' } });
+      expect(isEnvelope(values)).to.equal(true);
+      expect(values.indexOf('action')).to.be.greaterThan(0);
+      expect(values).to.include('{"foo":"bar"}');
+      expect(values).to.include('{"tenant":"tenant"}');
+    });
+
+    it('should not write undefined fields', () => {
+      const values = encodeMessage({ action: 'action', data: { foo: 'bar' } });
+      expect(values).not.to.include('correlationId');
+      expect(values).not.to.include('headers');
+      expect(values).not.to.include('group');
+    });
+
+    it('should write non-JSON data as a string', () => {
+      const values = encodeMessage({ action: 'action', data: 'plain', contentType: 'text/plain' });
+      expect(decodeMessage(values).data).to.equal('plain');
+    });
+  });
+
+  describe('decodeMessage', () => {
+    it('should decode an envelope written by encodeMessage', () => {
+      const message = decodeMessage(encodeMessage({
+        messageId: 'message',
+        action: 'action',
+        data: { foo: 'bar' },
+        producerId: 'producer',
+        correlationId: 'correlation',
+        timestamp: 1000,
+        headers: { tenant: 'tenant' },
+        group: 'group'
+      }));
+      expect(message.messageId).to.equal('message');
+      expect(message.action).to.equal('action');
+      expect(message.data).to.deep.equal({ foo: 'bar' });
+      expect(message.contentType).to.equal('application/json');
+      expect(message.version).to.equal('1');
+      expect(message.producerId).to.equal('producer');
+      expect(message.correlationId).to.equal('correlation');
+      expect(message.timestamp).to.equal(1000);
+      expect(message.headers).to.deep.equal({ tenant: 'tenant' });
+      expect(message.group).to.equal('group');
+      expect(message.groups).to.deep.equal(['group']);
+    });
+
+    it('should decode a legacy positional entry', () => {
+      const message = decodeMessage(['action', '{"foo":"bar"}', 'group', 'group']);
+      expect(message.messageId).to.equal(undefined);
+      expect(message.action).to.equal('action');
+      expect(message.data).to.deep.equal({ foo: 'bar' });
+      expect(message.headers).to.deep.equal({});
+      expect(message.group).to.equal('group');
+    });
+
+    it('should decode a legacy positional entry without target group', () => {
+      const message = decodeMessage(['action', 'not json']);
+      expect(message.data).to.equal('not json');
+      expect(message.groups).to.equal(undefined);
+    });
+  });
+
+  describe('targetFields', () => {
+    it('should write a single group as group field', () => {
+      expect(targetFields('group')).to.deep.equal(['group', 'group']);
+    });
+
+    it('should write a list of groups as groups field', () => {
+      expect(targetFields(['group1', 'group2'])).to.deep.equal(['groups', '["group1","group2"]']);
+    });
+
+    it('should write no fields if no group is provided', () => {
+      expect(targetFields()).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import { expect } from 'chai';
+import { PassThrough } from 'node:stream';
+import { PrometheusMetrics, METRICS, CONTENT_TYPE } from '../src/metrics.js';
+
+describe('Metrics', () => {
+  describe('PrometheusMetrics', () => {
+    it('should export counters per label set in Prometheus text format', () => {
+      const metrics = new PrometheusMetrics();
+      metrics.increment(METRICS.PUBLISHED, { channel: 'users', action: 'created' });
+      metrics.increment(METRICS.PUBLISHED, { action: 'created', channel: 'users' });
+      metrics.increment(METRICS.PUBLISHED, { channel: 'users', action: 'deleted' }, 5);
+
+      expect(metrics.metrics()).to.equal([
+        '# HELP redismb_messages_published_total Messages published (or scheduled) by publishers.',
+        '# TYPE redismb_messages_published_total counter',
+        'redismb_messages_published_total{channel="users",action="created"} 2',
+        'redismb_messages_published_total{channel="users",action="deleted"} 5',
+        ''
+      ].join('\n'));
+    });
+
+    it('should export histograms with cumulative buckets, sum and count', () => {
+      const metrics = new PrometheusMetrics({ buckets: [1, 0.1] });
+      metrics.observe(METRICS.HANDLER_DURATION, { channel: 'users' }, 0.05);
+      metrics.observe(METRICS.HANDLER_DURATION, { channel: 'users' }, 0.5);
+      metrics.observe(METRICS.HANDLER_DURATION, { channel: 'users' }, 2);
+
+      const lines = metrics.metrics().split('\n');
+      expect(lines).to.include('# TYPE redismb_handler_duration_seconds histogram');
+      expect(lines).to.include('redismb_handler_duration_seconds_bucket{channel="users",le="0.1"} 1');
+      expect(lines).to.include('redismb_handler_duration_seconds_bucket{channel="users",le="1"} 2');
+      expect(lines).to.include('redismb_handler_duration_seconds_bucket{channel="users",le="+Inf"} 3');
+      expect(lines).to.include('redismb_handler_duration_seconds_sum{channel="users"} 2.55');
+      expect(lines).to.include('redismb_handler_duration_seconds_count{channel="users"} 3');
+    });
+
+    it('should escape label values and drop undefined labels', () => {
+      const metrics = new PrometheusMetrics();
+      metrics.increment('custom_total', { channel: 'a"b\\c\nd', action: undefined });
+
+      expect(metrics.metrics()).to.include('custom_total{channel="a\\"b\\\\c\\nd"} 1');
+    });
+
+    it('should serve the metrics over HTTP and be reset', () => {
+      const metrics = new PrometheusMetrics();
+      metrics.increment(METRICS.RECEIVED, { channel: 'users', group: 'mailer', action: 'created' });
+
+      const res = new PassThrough();
+      let headers;
+      res.writeHead = (status, values) => { headers = { status, ...values }; };
+      metrics.handler({}, res);
+
+      expect(headers).to.deep.equal({ status: 200, 'Content-Type': CONTENT_TYPE });
+      expect(res.read().toString()).to.include('redismb_messages_received_total{channel="users",group="mailer",action="created"} 1');
+
+      metrics.reset();
+      expect(metrics.metrics()).to.equal('');
+    });
+  });
+});
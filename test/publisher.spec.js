@@ -1,6 +1,9 @@
 import { expect } from 'chai';
-import redismb from '../src/redismb.js';
+import redismb, { defaultBroker } from '../src/redismb.js';
 import Publisher from '../src/publisher.js';
+import { decodeMessage } from '../src/message.js';
+import { PrometheusMetrics, METRICS } from '../src/metrics.js';
+import { SchemaValidationError } from '../src/errors.js';
 
 describe('Redis Publisher', () => {
   let redis;
@@ -41,10 +44,265 @@ describe('Redis Publisher', () => {
       expect(messages).to.have.lengthOf(1);
       await Promise.all(messages.map(async (message) => {
         expect(message[0]).to.equal(id);
-        expect(message[1][0]).to.equal('action');
-        expect(JSON.parse(message[1][1]).foo).to.equal('bar');
+        expect(message[1][0]).to.equal('envelope');
+        const { action, data, producerId } = decodeMessage(message[1]);
+        expect(action).to.equal('action');
+        expect(data.foo).to.equal('bar');
+        expect(producerId).to.equal(publisher.producerId);
         await redis.xdel('publisher-channel', message[0]);
       }));
     });
+    it('should log a structured record to the provided logger', async () => {
+      const records = [];
+      const logger = { info: (record) => records.push(record) };
+      const publisher = new Publisher({ channel: 'publisher-channel', producerId: 'producer', logger });
+      const id = await publisher.publish('action', { foo: 'bar' });
+
+      expect(records).to.deep.equal([{
+        message: `PUBLISHED publisher-channel action ${id}`,
+        status: 'PUBLISHED',
+        channel: 'publisher-channel',
+        action: 'action',
+        id,
+        clientId: 'producer'
+      }]);
+      await redis.xdel('publisher-channel', id);
+    });
+    it('should not log records below the configured level', async () => {
+      const records = [];
+      const logger = { info: (record) => records.push(record) };
+      const publisher = new Publisher({ channel: 'publisher-channel', logger, logLevel: 'warn' });
+      const id = await publisher.publish('action', { foo: 'bar' });
+
+      expect(records).to.have.lengthOf(0);
+      await redis.xdel('publisher-channel', id);
+    });
+    it('should emit a published event with the message', async () => {
+      const published = [];
+      const publisher = new Publisher({ channel: 'publisher-channel' });
+      publisher.on('published', (message) => published.push(message));
+      const id = await publisher.publish('action', { foo: 'bar' }, { group: 'group' });
+
+      expect(published).to.deep.equal([{
+        channel: 'publisher-channel',
+        id,
+        status: 'PUBLISHED',
+        action: 'action',
+        data: { foo: 'bar' },
+        group: 'group'
+      }]);
+      await redis.xdel('publisher-channel', id);
+    });
+    it('should publish message addressed to a single consumer group', async () => {
+      const publisher = new Publisher({ channel: 'publisher-channel' });
+      const id = await publisher.publish('action', { foo: 'bar' }, { group: 'group' });
+
+      const [message] = await redis.xrange('publisher-channel', id, id);
+      expect(decodeMessage(message[1]).fields.group).to.equal('group');
+      await redis.xdel('publisher-channel', id);
+    });
+    it('should publish message addressed to a list of consumer groups', async () => {
+      const publisher = new Publisher({ channel: 'publisher-channel' });
+      const id = await publisher.publish('action', { foo: 'bar' }, { group: ['group1', 'group2'] });
+
+      const [message] = await redis.xrange('publisher-channel', id, id);
+      expect(JSON.parse(decodeMessage(message[1]).fields.groups)).to.deep.equal(['group1', 'group2']);
+      await redis.xdel('publisher-channel', id);
+    });
+    it('should publish message envelope with headers and metadata', async () => {
+      const publisher = new Publisher({ channel: 'publisher-channel', producerId: 'producer' });
+      const id = await publisher.publish('action', { foo: 'bar' }, {
+        headers: { tenant: 'tenant' },
+        correlationId: 'correlation',
+        version: '2',
+        messageId: 'message'
+      });
+
+      const [message] = await redis.xrange('publisher-channel', id, id);
+      const { messageId, contentType, version, producerId, correlationId, timestamp, headers } = decodeMessage(message[1]);
+      expect(messageId).to.equal('message');
+      expect(contentType).to.equal('application/json');
+      expect(version).to.equal('2');
+      expect(producerId).to.equal('producer');
+      expect(correlationId).to.equal('correlation');
+      expect(timestamp).to.be.a('number');
+      expect(headers).to.deep.equal({ tenant: 'tenant' });
+      await redis.xdel('publisher-channel', id);
+    });
+  });
+
+  describe('idempotent publish', () => {
+    afterEach(async () => {
+      await redis.del('publisher-channel:idempotency:key');
+    });
+    it('should publish a message only once for the same idempotency key', async () => {
+      const publisher = new Publisher({ channel: 'publisher-channel' });
+      const [id, repeatedId] = await Promise.all([
+        publisher.publish('action', { foo: 'bar' }, { idempotencyKey: 'key' }),
+        publisher.publish('action', { foo: 'bar' }, { idempotencyKey: 'key' })
+      ]);
+      expect(repeatedId).to.equal(id);
+
+      const messages = await redis.xrange('publisher-channel', '-', '+');
+      expect(messages).to.have.lengthOf(1);
+      await redis.xdel('publisher-channel', id);
+    });
+    it('should keep the idempotency key for the configured time', async () => {
+      const publisher = new Publisher({ channel: 'publisher-channel', idempotencyTtl: 60000 });
+      const id = await publisher.publish('action', { foo: 'bar' }, { idempotencyKey: 'key' });
+
+      expect(await redis.get('publisher-channel:idempotency:key')).to.equal(id);
+      const ttl = await redis.pttl('publisher-channel:idempotency:key');
+      expect(ttl).to.be.greaterThan(0);
+      expect(ttl).to.be.at.most(60000);
+      await redis.xdel('publisher-channel', id);
+    });
+    it('should count published messages but not duplicated ones', async () => {
+      const metrics = new PrometheusMetrics();
+      const publisher = new Publisher({ channel: 'publisher-channel', metrics });
+      const id = await publisher.publish('action', { foo: 'bar' }, { idempotencyKey: 'key' });
+      await publisher.publish('action', { foo: 'bar' }, { idempotencyKey: 'key' });
+
+      expect(metrics.metrics()).to.include(`${METRICS.PUBLISHED}{channel="publisher-channel",action="action"} 1`);
+      await redis.xdel('publisher-channel', id);
+    });
+  });
+
+  describe('scheduled publish', () => {
+    afterEach(async () => {
+      await redis.del('publisher-channel:scheduled');
+    });
+    it('should hold a delayed message until it is due', async () => {
+      const publisher = new Publisher({ channel: 'publisher-channel' });
+      const messageId = await publisher.publish('action', { foo: 'bar' }, { delay: 60000 });
+
+      expect(await redis.xlen('publisher-channel')).to.equal(0);
+      const [member, score] = await redis.zrange('publisher-channel:scheduled', 0, -1, 'WITHSCORES');
+      expect(+score).to.be.greaterThan(Date.now());
+      expect(decodeMessage(JSON.parse(member).slice(4)).messageId).to.equal(messageId);
+    });
+    it('should throw an error if a scheduled message has an idempotency key', async () => {
+      const publisher = new Publisher({ channel: 'publisher-channel' });
+
+      let error;
+      try {
+        await publisher.publish('action', { foo: 'bar' }, { delay: 60000, idempotencyKey: 'key' });
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).to.equal('INVALID_OPTIONS');
+    });
+  });
+
+  describe('schema validation', () => {
+    beforeEach(() => {
+      redismb.registerSchema('publisher-channel', 'user.created', {
+        type: 'object',
+        required: ['email'],
+        properties: { email: { type: 'string' } }
+      });
+    });
+    afterEach(async () => {
+      defaultBroker.schemas.unregister('publisher-channel', 'user.created');
+      await redis.del('publisher-channel');
+    });
+    it('should refuse to publish data not matching the schema of the action', async () => {
+      const publisher = new Publisher({ channel: 'publisher-channel' });
+
+      let error;
+      try {
+        await publisher.publish('user.created', { email: 42 });
+      } catch (err) {
+        error = err;
+      }
+      expect(error).to.be.an.instanceOf(SchemaValidationError);
+      expect(error.message).to.equal('Invalid data for action user.created in channel publisher-channel: /email must be string');
+      expect(error.errors).to.deep.equal([{ path: '/email', message: 'must be string', params: { type: 'string' } }]);
+      expect(await redis.xlen('publisher-channel')).to.equal(0);
+    });
+    it('should publish valid data and data of actions without schema', async () => {
+      const publisher = new Publisher({ channel: 'publisher-channel' });
+      const { ids, failed } = await publisher.publishBatch([
+        { action: 'user.created', data: { email: 'user@example.com' } },
+        { action: 'user.created', data: {} },
+        { action: 'user.deleted', data: {} }
+      ]);
+      expect(ids[0]).to.be.a('string');
+      expect(ids[1]).to.equal(null);
+      expect(ids[2]).to.be.a('string');
+      expect(failed[0][1]).to.match(/must have required property 'email'/);
+    });
+  });
+
+  describe('publishBatch', () => {
+    it('should publish messages in order and return their ids', async () => {
+      const publisher = new Publisher({ channel: 'publisher-channel' });
+      const { ids, failed } = await publisher.publishBatch([
+        { action: 'action1', data: { foo: 'bar' } },
+        { action: 'action2', data: { foo: 'baz' }, group: 'group' }
+      ]);
+      expect(ids).to.have.lengthOf(2);
+      expect(failed).to.have.lengthOf(0);
+
+      const messages = await redis.xrange('publisher-channel', '-', '+');
+      expect(messages.map(([id]) => id)).to.deep.equal(ids);
+      expect(decodeMessage(messages[0][1]).action).to.equal('action1');
+      expect(decodeMessage(messages[1][1]).group).to.equal('group');
+      await redis.xdel('publisher-channel', ...ids);
+    });
+    it('should publish messages wrapped in a transaction', async () => {
+      const publisher = new Publisher({ channel: 'publisher-channel' });
+      const { ids, failed } = await publisher.publishBatch([
+        { action: 'action1', data: { foo: 'bar' } },
+        { action: 'action2', data: { foo: 'baz' } }
+      ], { transaction: true });
+      expect(ids).to.have.lengthOf(2);
+      expect(failed).to.have.lengthOf(0);
+      await redis.xdel('publisher-channel', ...ids);
+    });
+    it('should publish no message of a transaction when any of them cannot be published', async () => {
+      const publisher = new Publisher({ channel: 'publisher-channel' });
+      const length = await redis.xlen('publisher-channel');
+      const data = {};
+      data.self = data;
+      const { ids, failed } = await publisher.publishBatch([
+        { action: 'action1', data: { foo: 'bar' } },
+        { action: 'action2', data }
+      ], { transaction: true });
+      expect(ids).to.deep.equal([null, null]);
+      expect(failed.map(([message]) => message.action)).to.deep.equal(['action1', 'action2']);
+      expect(failed[0][1]).to.equal('BATCH_ABORTED');
+      expect(failed[1][1]).to.match(/circular/);
+      expect(await redis.xlen('publisher-channel')).to.equal(length);
+    });
+    it('should report messages that could not be published', async () => {
+      const publisher = new Publisher({ channel: 'publisher-channel' });
+      const data = {};
+      data.self = data;
+      const { ids, failed } = await publisher.publishBatch([
+        { action: 'action1', data },
+        { action: 'action2', data: { foo: 'bar' } }
+      ]);
+      expect(ids[0]).to.equal(null);
+      expect(ids[1]).to.be.a('string');
+      expect(failed).to.have.lengthOf(1);
+      expect(failed[0][0].action).to.equal('action1');
+      await redis.xdel('publisher-channel', ids[1]);
+    });
+    it('should emit an error event for each message that could not be published', async () => {
+      const errors = [];
+      const publisher = new Publisher({ channel: 'publisher-channel' });
+      publisher.on('error', (err, message) => errors.push([err, message]));
+      const data = {};
+      data.self = data;
+      const { ids } = await publisher.publishBatch([
+        { action: 'action1', data },
+        { action: 'action2', data: { foo: 'bar' } }
+      ]);
+      expect(errors).to.have.lengthOf(1);
+      expect(errors[0][0]).to.be.an.instanceOf(TypeError);
+      expect(errors[0][1]).to.include({ channel: 'publisher-channel', action: 'action1' });
+      await redis.xdel('publisher-channel', ids[1]);
+    });
   });
 });
@@ -1,6 +1,12 @@
+import { readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { PassThrough } from 'node:stream';
 import { expect } from 'chai';
 import Redis from 'ioredis';
-import redismb from '../src/redismb.js';
+import redismb, { defaultBroker } from '../src/redismb.js';
+import { createBroker } from '../src/broker.js';
+import { decodeMessage, encodeMessage } from '../src/message.js';
 
 describe('Redis Client Functions', () => {
   afterEach(async () => {
@@ -35,6 +41,29 @@ describe('Redis Client Functions', () => {
     });
   });
 
+  describe('handleSignals', () => {
+    it('should drain the subscribers and stop every connected broker when a signal is received', async () => {
+      const redisUri = 'redis://localhost:6379';
+      await redismb.bootstrap(redisUri);
+      const broker = await createBroker(redisUri);
+      const subscribers = [defaultBroker, broker].map((owner) => {
+        const subscriber = owner.subscriber({ channels: ['redismb-signals-channel'], group: 'group' });
+        subscriber.subscribe(async () => {});
+        return subscriber;
+      });
+      redismb.handleSignals({ signals: ['SIGUSR2'], exit: false });
+      process.emit('SIGUSR2', 'SIGUSR2');
+      await new Promise((resolve) => setTimeout(resolve, 500)); // Wait for the brokers to be stopped
+      expect(subscribers.map(({ continueReading }) => continueReading)).to.deep.equal([false, false]);
+      expect(defaultBroker.redis).to.equal(null);
+      expect(broker.redis).to.equal(null);
+      expect(process.listenerCount('SIGUSR2')).to.equal(0);
+
+      const redis = await redismb.bootstrap(redisUri);
+      await redis.del('redismb-signals-channel');
+    });
+  });
+
   describe('readRejectedMessages', () => {
     let redis, message;
     beforeEach(async () => {
@@ -65,6 +94,171 @@ describe('Redis Client Functions', () => {
     });
   });
 
+  describe('readRejectedMessages with rejection metadata', () => {
+    let redis, messages;
+    beforeEach(async () => {
+      const redisUri = 'redis://localhost:6379';
+      redis = await redismb.bootstrap(redisUri);
+      messages = await Promise.all([
+        redis.xadd('rejections', '*', ...encodeMessage(
+          { action: 'action', data: { foo: 'bar' }, group: 'group' },
+          { channel: 'redismb-channel', originalId: '1-0', error: 'Invalid data', stack: 'Error: Invalid data', attempts: 1, consumer: 'consumer', firstSeenAt: 1000, rejectedAt: 2000 }
+        )),
+        redis.xadd('rejections', '*', ...encodeMessage(
+          { action: 'action', data: { foo: 'baz' }, group: 'group' },
+          { channel: 'redismb-other-channel', originalId: '2-0', error: 'Timeout', attempts: 4, consumer: 'consumer', firstSeenAt: 1000, rejectedAt: 3000 }
+        ))
+      ]);
+    });
+    afterEach(async () => {
+      await redis.xdel('rejections', ...messages);
+    });
+    it('should return the rejection metadata', async () => {
+      const { messages: [message] } = await redismb.readRejectedMessages({ ids: [messages[0]] });
+      expect(message.channel).to.equal('redismb-channel');
+      expect(message.originalId).to.equal('1-0');
+      expect(message.error).to.equal('Invalid data');
+      expect(message.stack).to.equal('Error: Invalid data');
+      expect(message.attempts).to.equal(1);
+      expect(message.consumer).to.equal('consumer');
+      expect(message.firstSeenAt).to.equal(1000);
+      expect(message.rejectedAt).to.equal(2000);
+    });
+    it('should filter rejected messages by original channel and error', async () => {
+      const byChannel = await redismb.readRejectedMessages({ channel: 'redismb-other-channel' });
+      expect(byChannel.messages.map(({ id }) => id)).to.deep.equal([messages[1]]);
+      const byErrorText = await redismb.readRejectedMessages({ error: 'data' });
+      expect(byErrorText.messages.map(({ id }) => id)).to.deep.equal([messages[0]]);
+      const byErrorPattern = await redismb.readRejectedMessages({ error: /^time/i, consumer: 'consumer' });
+      expect(byErrorPattern.messages.map(({ id }) => id)).to.deep.equal([messages[1]]);
+    });
+  });
+
+  describe('readRejectedMessages from dead-letter streams', () => {
+    let redis, messages;
+    beforeEach(async () => {
+      const redisUri = 'redis://localhost:6379';
+      redis = await redismb.bootstrap(redisUri);
+      messages = await Promise.all(['redismb-channel:group:dlq', 'redismb-channel:other:dlq'].map(async (stream) => {
+        await redis.sadd('redismb:dead-letters', stream);
+        return redis.xadd(stream, '*', ...encodeMessage({ action: 'action', data: { foo: 'bar' } }, { channel: 'redismb-channel' }));
+      }));
+    });
+    afterEach(async () => {
+      await redis.del('redismb-channel:group:dlq', 'redismb-channel:other:dlq');
+      await redis.srem('redismb:dead-letters', 'redismb-channel:group:dlq', 'redismb-channel:other:dlq');
+    });
+    it('should read every dead-letter stream by default', async () => {
+      const streams = ['redismb-channel:group:dlq', 'redismb-channel:other:dlq'];
+      const result = await redismb.readRejectedMessages();
+      // Only the streams of this spec are looked at, as other specs may have registered their own.
+      const read = result.messages.filter(({ stream }) => streams.includes(stream));
+      expect(read.map(({ id }) => id)).to.deep.equal(messages);
+      expect(read.map(({ stream }) => stream)).to.deep.equal(streams);
+    });
+    it('should only read the given dead-letter streams', async () => {
+      const result = await redismb.readRejectedMessages({ streams: 'redismb-channel:other:dlq' });
+      expect(result.messages.map(({ id }) => id)).to.deep.equal([messages[1]]);
+    });
+    it('should read rejected messages by pages', async () => {
+      const streams = ['redismb-channel:group:dlq', 'redismb-channel:other:dlq'];
+      const firstPage = await redismb.readRejectedMessages({ streams, limit: 1 });
+      expect(firstPage.messages.map(({ id }) => id)).to.deep.equal([messages[0]]);
+      expect(firstPage.nextCursor).to.equal(`redismb-channel:group:dlq:${messages[0]}`);
+      const lastPage = await redismb.readRejectedMessages({ streams, limit: 1, cursor: firstPage.nextCursor });
+      expect(lastPage.messages.map(({ id }) => id)).to.deep.equal([messages[1]]);
+      expect(lastPage.nextCursor).to.equal(null);
+    });
+    it('should read by pages the messages rejected at the same time in several streams', async () => {
+      const streams = ['redismb-channel:group:dlq', 'redismb-channel:other:dlq'];
+      await Promise.all(streams.map((stream) => redis.xadd(stream, '9999999999999-0', ...encodeMessage({ action: 'action', data: { foo: 'bar' } }))));
+      const ids = [];
+      let cursor;
+      do {
+        const page = await redismb.readRejectedMessages({ streams, from: new Date(9999999999999), limit: 1, cursor });
+        ids.push(...page.messages.map(({ stream, id }) => `${stream}:${id}`));
+        cursor = page.nextCursor;
+      } while (cursor);
+      expect(ids).to.deep.equal(streams.map((stream) => `${stream}:9999999999999-0`));
+    });
+    it('should combine ids, time range and action filters', async () => {
+      const result = await redismb.readRejectedMessages({ ids: messages, from: new Date(0), to: new Date(), action: 'action', cursor: messages[0] });
+      expect(result.messages.map(({ id }) => id)).to.deep.equal([messages[1]]);
+      const empty = await redismb.readRejectedMessages({ ids: messages, action: 'other' });
+      expect(empty.count).to.equal(0);
+    });
+    it('should reprocess messages removing them from their dead-letter stream', async () => {
+      const result = await redismb.reprocessRejectedMessages({ streams: ['redismb-channel:group:dlq'] });
+      expect(result.succeeded).to.have.lengthOf(1);
+      expect(await redis.xlen('redismb-channel:group:dlq')).to.equal(0);
+      expect(await redis.xlen('redismb-channel:other:dlq')).to.equal(1);
+      await redis.del('redismb-channel');
+    });
+    it('should report the messages that would be reprocessed in a dry run', async () => {
+      const result = await redismb.reprocessRejectedMessages({ streams: 'redismb-channel:group:dlq', dryRun: true });
+      expect(result.succeeded.map(({ id, channel }) => [id, channel])).to.deep.equal([[messages[0], 'redismb-channel']]);
+      expect(await redis.xlen('redismb-channel:group:dlq')).to.equal(1);
+      expect(await redis.xlen('redismb-channel')).to.equal(0);
+    });
+    it('should republish a message only once when reprocessed concurrently', async () => {
+      const results = await Promise.all([
+        redismb.reprocessRejectedMessages({ streams: 'redismb-channel:group:dlq' }),
+        redismb.reprocessRejectedMessages({ streams: 'redismb-channel:group:dlq' })
+      ]);
+      expect(results.flatMap(({ succeeded }) => succeeded)).to.have.lengthOf(1);
+      expect(results.flatMap(({ skipped }) => skipped)).to.have.lengthOf(1);
+      expect(await redis.xlen('redismb-channel')).to.equal(1);
+      await redis.del('redismb-channel');
+    });
+  });
+
+  describe('delete, purge and archive rejected messages', () => {
+    let redis, messages;
+    beforeEach(async () => {
+      const redisUri = 'redis://localhost:6379';
+      redis = await redismb.bootstrap(redisUri);
+      await redis.sadd('redismb:dead-letters', 'redismb-channel:group:dlq');
+      messages = [
+        await redis.xadd('redismb-channel:group:dlq', '1000-0', ...encodeMessage({ action: 'action', data: { foo: 'bar' } }, { channel: 'redismb-channel' })),
+        await redis.xadd('redismb-channel:group:dlq', '*', ...encodeMessage({ action: 'other', data: { foo: 'baz' } }, { channel: 'redismb-channel' }))
+      ];
+    });
+    afterEach(async () => {
+      await redis.del('redismb-channel:group:dlq');
+      await redis.srem('redismb:dead-letters', 'redismb-channel:group:dlq');
+    });
+    it('should delete the matching rejected messages', async () => {
+      const result = await redismb.deleteRejectedMessages({ action: 'other' });
+      expect(result.count).to.equal(1);
+      const remaining = await redis.xrange('redismb-channel:group:dlq', '-', '+');
+      expect(remaining.map(([id]) => id)).to.deep.equal([messages[0]]);
+    });
+    it('should purge rejected messages older than a date', async () => {
+      const result = await redismb.purgeRejectedMessages({ olderThan: new Date(2000), streams: 'redismb-channel:group:dlq' });
+      expect(result.count).to.equal(1);
+      const remaining = await redis.xrange('redismb-channel:group:dlq', '-', '+');
+      expect(remaining.map(([id]) => id)).to.deep.equal([messages[1]]);
+    });
+    it('should archive the matching rejected messages to a writable stream before deleting them', async () => {
+      const destination = new PassThrough();
+      let output = '';
+      destination.on('data', (chunk) => { output += chunk; });
+      const result = await redismb.archiveRejectedMessages({ destination, action: 'action' });
+      expect(result.count).to.equal(1);
+      const [line] = output.trim().split('\n');
+      expect(JSON.parse(line).id).to.equal(messages[0]);
+      expect(await redis.xlen('redismb-channel:group:dlq')).to.equal(1);
+    });
+    it('should append the archived messages to a JSON Lines file', async () => {
+      const file = join(tmpdir(), `redismb-archive-${Date.now()}.jsonl`);
+      const result = await redismb.archiveRejectedMessages({ destination: file, streams: 'redismb-channel:group:dlq' });
+      expect(result.count).to.equal(2);
+      const lines = (await readFile(file, 'utf8')).trim().split('\n').map((line) => JSON.parse(line));
+      expect(lines.map(({ id }) => id)).to.deep.equal(messages);
+      await rm(file);
+    });
+  });
+
   describe('reprocessRejectedMessages', () => {
     let redis;
     beforeEach(async () => {
@@ -93,9 +287,10 @@ describe('Redis Client Functions', () => {
       const messages = await redis.xrange('redismb-channel', '-', '+');
       expect(messages).to.have.lengthOf(1);
       await Promise.all(messages.map(async (message) => {
-        expect(message[1][0]).to.equal('action');
-        expect(JSON.parse(message[1][1]).foo).to.equal('bar');
-        expect(message[1][3]).to.equal('group');
+        const { action, data, group } = decodeMessage(message[1]);
+        expect(action).to.equal('action');
+        expect(data.foo).to.equal('bar');
+        expect(group).to.equal('group');
         await redis.xdel('redismb-channel', message[0]);
       }));
       const rejections = await redis.xrange('rejections', '-', '+');
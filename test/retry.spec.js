@@ -0,0 +1,51 @@
+import { expect } from 'chai';
+import RetryPolicy from '../src/retry.js';
+
+describe('Retry Policy', () => {
+  describe('constructor', () => {
+    it('should create a fixed retry policy with default parameters', () => {
+      const retryPolicy = new RetryPolicy();
+      expect(retryPolicy.strategy).to.equal('fixed');
+      expect(retryPolicy.delay).to.equal(10000);
+      expect(retryPolicy.maxDelay).to.equal(Infinity);
+      expect(retryPolicy.jitter).to.equal(0);
+    });
+
+    it('should throw an error if strategy is not supported', () => {
+      expect(() => new RetryPolicy({ strategy: 'random' })).to.throw('INVALID_VALUE');
+    });
+
+    it('should throw an error if jitter is not between 0 and 1', () => {
+      expect(() => new RetryPolicy({ jitter: 2 })).to.throw('INVALID_VALUE');
+    });
+  });
+
+  describe('waitingTime', () => {
+    it('should wait the same time for every retry with fixed strategy', () => {
+      const retryPolicy = new RetryPolicy({ strategy: 'fixed', delay: 1000 });
+      expect([1, 2, 3].map((attempts) => retryPolicy.waitingTime(attempts))).to.deep.equal([1000, 1000, 1000]);
+    });
+
+    it('should wait linearly longer with linear strategy', () => {
+      const retryPolicy = new RetryPolicy({ strategy: 'linear', delay: 1000 });
+      expect([1, 2, 3].map((attempts) => retryPolicy.waitingTime(attempts))).to.deep.equal([1000, 2000, 3000]);
+    });
+
+    it('should wait exponentially longer with exponential strategy', () => {
+      const retryPolicy = new RetryPolicy({ strategy: 'exponential', delay: 1000 });
+      expect([1, 2, 3, 4].map((attempts) => retryPolicy.waitingTime(attempts))).to.deep.equal([1000, 2000, 4000, 8000]);
+    });
+
+    it('should not wait longer than max delay', () => {
+      const retryPolicy = new RetryPolicy({ strategy: 'exponential', delay: 1000, maxDelay: 3000 });
+      expect(retryPolicy.waitingTime(10)).to.equal(3000);
+    });
+
+    it('should take away up to jitter fraction of the waiting time, always the same for the same message', () => {
+      const retryPolicy = new RetryPolicy({ strategy: 'fixed', delay: 1000, jitter: 0.5 });
+      const waitingTime = retryPolicy.waitingTime(1, '1-0');
+      expect(waitingTime).to.be.within(500, 1000);
+      expect(retryPolicy.waitingTime(1, '1-0')).to.equal(waitingTime);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import { expect } from 'chai';
+import redismb from '../src/redismb.js';
+import Publisher from '../src/publisher.js';
+import Scheduler, { scheduledKey, failedScheduledKey } from '../src/scheduler.js';
+import { decodeMessage } from '../src/message.js';
+
+describe('Redis Scheduler', () => {
+  let redis;
+  beforeEach(async () => {
+    const redisUri = 'redis://localhost:6379';
+    redis = await redismb.bootstrap(redisUri);
+  });
+
+  afterEach(async () => {
+    await redis.del('scheduler-channel', scheduledKey('scheduler-channel'));
+    await redismb.stop();
+  });
+
+  describe('constructor', () => {
+    it('should throw an error if channels are not provided', () => {
+      expect(() => new Scheduler({})).to.throw('MISSED_VALUE');
+    });
+  });
+
+  describe('promote', () => {
+    it('should deliver due scheduled messages to their channel', async () => {
+      const publisher = new Publisher({ channel: 'scheduler-channel' });
+      const messageId = await publisher.publish('action', { foo: 'bar' }, { deliverAt: new Date(Date.now() - 1000) });
+      await publisher.publish('action', { foo: 'baz' }, { delay: 60000 });
+
+      const scheduler = new Scheduler({ channels: ['scheduler-channel'] });
+      const promoted = await scheduler.promote();
+      expect(promoted['scheduler-channel']).to.have.lengthOf(1);
+
+      const messages = await redis.xrange('scheduler-channel', '-', '+');
+      expect(messages).to.have.lengthOf(1);
+      expect(messages[0][0]).to.equal(promoted['scheduler-channel'][0]);
+      const message = decodeMessage(messages[0][1]);
+      expect(message.messageId).to.equal(messageId);
+      expect(message.data.foo).to.equal('bar');
+      expect(await redis.zcard(scheduledKey('scheduler-channel'))).to.equal(1);
+    });
+
+    it('should deliver each scheduled message only once with concurrent schedulers', async () => {
+      const publisher = new Publisher({ channel: 'scheduler-channel' });
+      await publisher.publish('action', { foo: 'bar' }, { deliverAt: new Date(Date.now() - 1000) });
+
+      const schedulers = [
+        new Scheduler({ channels: ['scheduler-channel'] }),
+        new Scheduler({ channels: ['scheduler-channel'] })
+      ];
+      await Promise.all(schedulers.map((scheduler) => scheduler.promote()));
+
+      const messages = await redis.xrange('scheduler-channel', '-', '+');
+      expect(messages).to.have.lengthOf(1);
+    });
+    it('should move aside scheduled messages that cannot be added to the channel and deliver the rest', async () => {
+      await new Publisher({ channel: 'scheduler-channel' }).publish('action', { foo: 'bar' }, { delay: 1 });
+      await new Publisher({ channel: 'scheduler-other-channel' }).publish('action', { foo: 'baz' }, { delay: 1 });
+      await redis.set('scheduler-channel', 'not a stream');
+      await new Promise((resolve) => setTimeout(resolve, 10));
+
+      const scheduler = new Scheduler({ channels: ['scheduler-channel', 'scheduler-other-channel'] });
+      const promoted = await scheduler.promote();
+      expect(Object.keys(promoted)).to.deep.equal(['scheduler-other-channel']);
+      expect(await redis.zcard(scheduledKey('scheduler-channel'))).to.equal(0);
+      expect(await redis.zcard(failedScheduledKey('scheduler-channel'))).to.equal(1);
+      expect(await redis.xlen('scheduler-other-channel')).to.equal(1);
+      await redis.del('scheduler-other-channel', failedScheduledKey('scheduler-channel'));
+    });
+  });
+
+  describe('start', () => {
+    it('should deliver scheduled messages when they are due', async () => {
+      const publisher = new Publisher({ channel: 'scheduler-channel' });
+      await publisher.publish('action', { foo: 'bar' }, { delay: 500 });
+
+      const scheduler = new Scheduler({ channels: ['scheduler-channel'], interval: 100 });
+      scheduler.start();
+      expect(await redis.xlen('scheduler-channel')).to.equal(0);
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+      scheduler.stop();
+      expect(await redis.xlen('scheduler-channel')).to.equal(1);
+    });
+  });
+});
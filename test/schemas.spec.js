@@ -0,0 +1,67 @@
+import { expect } from 'chai';
+import SchemaRegistry from '../src/schemas.js';
+import { NonRetryableError, SchemaValidationError } from '../src/errors.js';
+
+describe('SchemaRegistry', () => {
+  const schema = {
+    type: 'object',
+    required: ['email'],
+    properties: { email: { type: 'string' }, age: { type: 'integer', minimum: 0 } }
+  };
+
+  describe('validate', () => {
+    it('should accept data matching the schema of the channel and action', () => {
+      const schemas = new SchemaRegistry();
+      schemas.register('channel', 'action', schema);
+
+      expect(() => schemas.validate('channel', 'action', { email: 'user@example.com', age: 30 })).to.not.throw();
+    });
+
+    it('should throw a non-retryable error with every validation error', () => {
+      const schemas = new SchemaRegistry();
+      schemas.register('channel', 'action', schema);
+
+      let error;
+      try {
+        schemas.validate('channel', 'action', { age: -1 });
+      } catch (err) {
+        error = err;
+      }
+      expect(error).to.be.an.instanceOf(SchemaValidationError);
+      expect(error).to.be.an.instanceOf(NonRetryableError);
+      expect(error.retryable).to.equal(false);
+      expect(error.message).to.equal(
+        'Invalid data for action action in channel channel: / must have required property \'email\', /age must be >= 0'
+      );
+      expect(error.errors.map(({ path }) => path)).to.deep.equal(['', '/age']);
+    });
+
+    it('should not validate data of other channels and actions', () => {
+      const schemas = new SchemaRegistry();
+      schemas.register('channel', 'action', schema);
+
+      expect(() => schemas.validate('channel', 'other', {})).to.not.throw();
+      expect(() => schemas.validate('other', 'action', {})).to.not.throw();
+    });
+
+    it('should not validate data once the schema is unregistered', () => {
+      const schemas = new SchemaRegistry();
+      schemas.register('channel', 'action', schema);
+
+      expect(schemas.unregister('channel', 'action')).to.equal(true);
+      expect(() => schemas.validate('channel', 'action', {})).to.not.throw();
+    });
+  });
+
+  describe('register', () => {
+    it('should throw an error if the schema is invalid', () => {
+      expect(() => new SchemaRegistry().register('channel', 'action', { type: 'unknown' })).to.throw(/schema is invalid/);
+    });
+
+    it('should throw an error if the channel, the action or the schema are not provided', () => {
+      expect(() => new SchemaRegistry().register(undefined, 'action', schema)).to.throw('MISSED_VALUE');
+      expect(() => new SchemaRegistry().register('channel', undefined, schema)).to.throw('MISSED_VALUE');
+      expect(() => new SchemaRegistry().register('channel', 'action')).to.throw('MISSED_VALUE');
+    });
+  });
+});
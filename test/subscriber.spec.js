@@ -1,10 +1,13 @@
 import * as chai from 'chai';
 import { expect } from 'chai';
-import { stub, spy, assert } from 'sinon';
+import { stub, spy, assert, match } from 'sinon';
 import sinonChai from 'sinon-chai';
 
-import redismb from '../src/redismb.js';
+import redismb, { defaultBroker } from '../src/redismb.js';
 import Subscriber from '../src/subscriber.js';
+import { encodeMessage, decodeMessage } from '../src/message.js';
+import { NonRetryableError } from '../src/errors.js';
+import { METRICS } from '../src/metrics.js';
 chai.use(sinonChai);
 
 describe('Redis Subscriber', () => {
@@ -15,6 +18,8 @@ describe('Redis Subscriber', () => {
   });
 
   afterEach(async () => {
+    // The dead-letter stream written by the specs is unregistered, so it is not read by specs of other modules.
+    await redis.srem('redismb:dead-letters', 'channel:group:dlq');
     await redismb.stop();
   });
 
@@ -38,6 +43,9 @@ describe('Redis Subscriber', () => {
       expect(subscriber.interval).to.equal(0);
       expect(subscriber.messages).to.equal(1);
       expect(subscriber.retries).to.equal(3);
+      expect(subscriber.retryPolicy.strategy).to.equal('fixed');
+      expect(subscriber.retryPolicy.delay).to.equal(10000);
+      expect(subscriber.scheduler).to.equal(null);
     });
 
     it('should create a Subscriber instance with provided parameters', async () => {
@@ -48,7 +56,9 @@ describe('Redis Subscriber', () => {
         timeout: 5000,
         interval: 1000,
         messages: 5,
-        retries: 2
+        retries: 2,
+        retryPolicy: { strategy: 'exponential', delay: 1000, maxDelay: 60000, jitter: 0.5 },
+        scheduler: true
       }, (err, channel, message) => {
         console.error({ err, channel, message });
       });
@@ -60,6 +70,9 @@ describe('Redis Subscriber', () => {
       expect(subscriber.interval).to.equal(1000);
       expect(subscriber.messages).to.equal(5);
       expect(subscriber.retries).to.equal(2);
+      expect(subscriber.retryPolicy.strategy).to.equal('exponential');
+      expect(subscriber.retryPolicy.waitingTime(10)).to.be.within(30000, 60000);
+      expect(subscriber.scheduler.interval).to.equal(1000);
       await redis.xgroup('DESTROY', 'channel1', 'group');
       await redis.xgroup('DESTROY', 'channel2', 'group');
     });
@@ -71,6 +84,22 @@ describe('Redis Subscriber', () => {
     it('should throw an error if callback parameter does not accept between 1 and 3 parameters', () => {
       expect(() => new Subscriber({ channels: ['channel'], group: 'group' }, (a, b, c, d) => {})).to.throw(Error);
     });
+    it('should throw an error if concurrency is lower than 1', () => {
+      expect(() => new Subscriber({ channels: ['channel'], group: 'group', concurrency: 0 })).to.throw('INVALID_VALUE');
+    });
+    it('should throw an error if unknown action policy is not supported', () => {
+      expect(() => new Subscriber({ channels: ['channel'], group: 'group', unknownAction: 'drop' })).to.throw('INVALID_VALUE');
+    });
+    it('should throw an error if ordering key is not a function', () => {
+      expect(() => new Subscriber({ channels: ['channel'], group: 'group', orderingKey: 'key' })).to.throw('INVALID_VALUE');
+    });
+    it('should throw an error if an action is listened once or prepended', () => {
+      const subscriber = new Subscriber({ channels: ['channel'], group: 'group' });
+      expect(() => subscriber.once('known', spy())).to.throw('INVALID_VALUE');
+      expect(() => subscriber.prependListener('known', spy())).to.throw('INVALID_VALUE');
+      subscriber.once('confirmed', spy()).prependListener('confirmed', spy());
+      expect(subscriber.listenerCount('confirmed')).to.equal(2);
+    });
   });
 
   describe('subscribe', () => {
@@ -190,6 +219,545 @@ describe('Redis Subscriber', () => {
         expect(logEventErrorSpy).to.have.been.calledOnce;
       });
     });
+    describe('when message is a named-field envelope', () => {
+      beforeEach(async () => {
+        id = await redis.xadd('channel', '*', ...encodeMessage({
+          messageId: 'message',
+          action: 'action',
+          data: { foo: 'bar' },
+          correlationId: 'correlation',
+          headers: { tenant: 'tenant' }
+        }));
+        callback = stub().resolves();
+      });
+      afterEach(async () => {
+        await redis.xdel('channel', id);
+        await redis.xgroup('DESTROY', 'channel', 'group');
+      });
+      it('should expose message metadata and headers', async () => {
+        const subscriber = new Subscriber({ channels: ['channel'], group: 'group' });
+        subscriber.subscribe(callback);
+        await _sleep(1000); // Wait for messages to be processed
+        assert.calledOnce(callback);
+        const [payload] = callback.args[0];
+        expect(payload.id).to.equal(id);
+        expect(payload.messageId).to.equal('message');
+        expect(payload.action).to.equal('action');
+        expect(payload.data.foo).to.equal('bar');
+        expect(payload.correlationId).to.equal('correlation');
+        expect(payload.headers).to.deep.equal({ tenant: 'tenant' });
+      });
+    });
+    describe('when message is addressed to consumer groups', () => {
+      let skippedId;
+      beforeEach(async () => {
+        id = await redis.xadd('channel', '*', 'action', JSON.stringify({ foo: 'bar' }), 'groups', JSON.stringify(['other', 'group']));
+        skippedId = await redis.xadd('channel', '*', 'action', JSON.stringify({ foo: 'baz' }), 'group', 'other');
+        callback = stub().resolves();
+      });
+      afterEach(async () => {
+        await redis.xdel('channel', id, skippedId);
+        await redis.xgroup('DESTROY', 'channel', 'group');
+      });
+      it('should only process messages addressed to its group', async () => {
+        const subscriber = new Subscriber({ channels: ['channel'], group: 'group', messages: 2 });
+        subscriber.subscribe(callback);
+        await _sleep(1000); // Wait for messages to be processed
+        assert.calledOnce(callback);
+        const [payload] = callback.args[0];
+        expect(payload.id).to.equal(id);
+        expect(payload.groups).to.deep.equal(['other', 'group']);
+      });
+    });
+    describe('when dedupe mode is enabled', () => {
+      let completedId;
+      beforeEach(async () => {
+        await redis.set('channel:group:dedupe:completed', 'done');
+        completedId = await redis.xadd('channel', '*', ...encodeMessage({ messageId: 'completed', action: 'action', data: { foo: 'bar' } }));
+        id = await redis.xadd('channel', '*', ...encodeMessage({ messageId: 'message', action: 'action', data: { foo: 'baz' } }));
+        callback = stub().resolves();
+      });
+      afterEach(async () => {
+        await redis.del('channel:group:dedupe:completed', 'channel:group:dedupe:message');
+        await redis.xdel('channel', completedId, id);
+        await redis.xgroup('DESTROY', 'channel', 'group');
+      });
+      it('should skip messages already completed by the group and record processed ones', async () => {
+        const subscriber = new Subscriber({ channels: ['channel'], group: 'group', messages: 2, dedupe: { ttl: 60000 } });
+        subscriber.subscribe(callback);
+        await _sleep(1000); // Wait for messages to be processed
+        assert.calledOnce(callback);
+        const [payload] = callback.args[0];
+        expect(payload.id).to.equal(id);
+        expect(await redis.get('channel:group:dedupe:message')).to.equal('done');
+        const pending = await redis.xpending('channel', 'group', '-', '+', 10);
+        expect(pending).to.have.lengthOf(0);
+      });
+      it('should leave pending messages locked by another execution without processing them', async () => {
+        await redis.set('channel:group:dedupe:message', 'other-consumer', 'PX', 60000);
+        const subscriber = new Subscriber({ channels: ['channel'], group: 'group', messages: 2, dedupe: { ttl: 60000 } });
+        subscriber.subscribe(callback);
+        await _sleep(1000); // Wait for messages to be processed
+        await subscriber.unsubscribe(0);
+        assert.notCalled(callback);
+        expect(await redis.get('channel:group:dedupe:message')).to.equal('other-consumer');
+        const pending = await redis.xpending('channel', 'group', '-', '+', 10);
+        expect(pending.map(([pendingId]) => pendingId)).to.deep.equal([id]);
+      });
+      it('should renew the lease while a slow callback runs, so claims do not process the message again', async () => {
+        callback = stub().callsFake(() => _sleep(800));
+        const subscriber = new Subscriber({
+          channels: ['channel'],
+          group: 'group',
+          messages: 2,
+          timeout: 200,
+          interval: 50,
+          dedupe: { ttl: 60000 }
+        });
+        subscriber.subscribe(callback);
+        await _sleep(600); // Wait for the lease (200 ms) to be renewed while the callback runs
+        expect(await redis.get('channel:group:dedupe:message')).to.equal(subscriber.clientId);
+        await _sleep(800); // Wait for the callback to finish
+        await subscriber.unsubscribe(0);
+        assert.calledOnce(callback);
+        expect(await redis.get('channel:group:dedupe:message')).to.equal('done');
+      });
+    });
+    describe('when callback throws a non-retryable error', () => {
+      let rejectionId;
+      beforeEach(async () => {
+        id = await redis.xadd('channel', '*', ...encodeMessage({ action: 'action', data: { foo: 'bar' } }));
+        callback = stub().rejects(new NonRetryableError('Invalid data'));
+      });
+      afterEach(async () => {
+        await redis.xdel('channel', id);
+        await redis.xdel('channel:group:dlq', rejectionId);
+        await redis.xgroup('DESTROY', 'channel', 'group');
+      });
+      it('should move the message to the dead-letter stream without retrying it', async () => {
+        const logEventErrorSpy = spy((err) => {});
+        const subscriber = new Subscriber({ channels: ['channel'], group: 'group', timeout: 100 }, logEventErrorSpy);
+        subscriber.subscribe(callback);
+        await _sleep(1000); // Wait for messages to be processed
+        assert.calledOnce(callback);
+        expect(logEventErrorSpy).to.have.been.calledOnce;
+        const pending = await redis.xpending('channel', 'group', '-', '+', 10);
+        expect(pending).to.have.lengthOf(0);
+        const [[lastId, values]] = await redis.xrevrange('channel:group:dlq', '+', '-', 'COUNT', 1);
+        rejectionId = lastId;
+        const { fields } = decodeMessage(values);
+        expect(fields.channel).to.equal('channel');
+        expect(fields.originalId).to.equal(id);
+        expect(fields.error).to.equal('Invalid data');
+        expect(fields.stack).to.match(/^NonRetryableError: Invalid data/);
+        expect(fields.attempts).to.equal('1');
+        expect(fields.consumer).to.equal(subscriber.clientId);
+        expect(+fields.rejectedAt).to.be.at.least(+fields.firstSeenAt);
+      });
+    });
+    describe('when callback keeps failing', () => {
+      let rejectionId;
+      beforeEach(async () => {
+        id = await redis.xadd('channel', '*', ...encodeMessage({ action: 'action', data: { foo: 'bar' } }));
+        let attempt = 0;
+        callback = stub().callsFake(async () => { throw new Error(`Attempt ${++attempt} failed`); });
+      });
+      afterEach(async () => {
+        await redis.xdel('channel', id);
+        await redis.xdel('channel:group:dlq', rejectionId);
+        await redis.xgroup('DESTROY', 'channel', 'group');
+      });
+      it('should record the last error and the attempts when the message is rejected', async () => {
+        const subscriber = new Subscriber({ channels: ['channel'], group: 'group', timeout: 100, interval: 50, retries: 1 }, spy((err) => {}));
+        subscriber.subscribe(callback);
+        await _sleep(1000); // Wait for messages to be retried and rejected
+        await subscriber.unsubscribe(0);
+        assert.calledTwice(callback);
+        const [[lastId, values]] = await redis.xrevrange('channel:group:dlq', '+', '-', 'COUNT', 1);
+        rejectionId = lastId;
+        const { fields } = decodeMessage(values);
+        expect(fields.originalId).to.equal(id);
+        expect(fields.error).to.equal('Attempt 2 failed');
+        expect(fields.attempts).to.equal('2');
+        expect(await redis.exists(`channel:group:failures:${id}`)).to.equal(0);
+      });
+    });
+    describe('when retry policy delays retries', () => {
+      afterEach(async () => {
+        await redis.xdel('channel', id);
+        await redis.xgroup('DESTROY', 'channel', 'group');
+      });
+      it('should not retry a failed message until its waiting time has elapsed', async () => {
+        id = await redis.xadd('channel', '*', ...encodeMessage({ action: 'action', data: { foo: 'bar' } }));
+        callback = stub().onFirstCall().rejects(new Error('Failed')).resolves();
+        const subscriber = new Subscriber({
+          channels: ['channel'],
+          group: 'group',
+          timeout: 100,
+          interval: 50,
+          retryPolicy: { delay: 1000 }
+        }, spy((err) => {}));
+        subscriber.subscribe(callback);
+        await _sleep(600); // Wait for the message to fail, while it waits to be retried
+        assert.calledOnce(callback);
+        await _sleep(1000); // Wait for the message to be retried
+        await subscriber.unsubscribe(0);
+        assert.calledTwice(callback);
+        const pending = await redis.xpending('channel', 'group', '-', '+', 10);
+        expect(pending).to.have.lengthOf(0);
+        expect(await redis.exists(`channel:group:failures:${id}`)).to.equal(0);
+      });
+    });
+    describe('when dead-letter stream is configured', () => {
+      afterEach(async () => {
+        await redis.xdel('channel', id);
+        await redis.del('custom-dlq');
+        await redis.srem('redismb:dead-letters', 'custom-dlq');
+        await redis.xgroup('DESTROY', 'channel', 'group');
+      });
+      it('should move rejected messages to the configured stream', async () => {
+        id = await redis.xadd('channel', '*', ...encodeMessage({ action: 'action', data: { foo: 'bar' } }));
+        callback = stub().rejects(new NonRetryableError('Invalid data'));
+        const subscriber = new Subscriber({
+          channels: ['channel'],
+          group: 'group',
+          deadLetter: { stream: 'custom-dlq', maxLength: 100 }
+        }, spy((err) => {}));
+        subscriber.subscribe(callback);
+        await _sleep(1000); // Wait for messages to be processed
+        const deadLetters = await redis.xrange('custom-dlq', '-', '+');
+        expect(deadLetters).to.have.lengthOf(1);
+        expect(decodeMessage(deadLetters[0][1]).fields.originalId).to.equal(id);
+        expect(await redis.sismember('redismb:dead-letters', 'custom-dlq')).to.equal(1);
+      });
+      it('should leave the message pending and report the error when it cannot be written to the stream', async () => {
+        id = await redis.xadd('channel', '*', ...encodeMessage({ action: 'action', data: { foo: 'bar' } }));
+        await redis.set('custom-dlq', 'not a stream');
+        callback = stub().rejects(new NonRetryableError('Invalid data'));
+        const logEventErrorSpy = spy((err) => {});
+        const subscriber = new Subscriber({
+          channels: ['channel'],
+          group: 'group',
+          deadLetter: { stream: 'custom-dlq' }
+        }, logEventErrorSpy);
+        subscriber.subscribe(callback);
+        await _sleep(1000); // Wait for messages to be processed
+        await subscriber.unsubscribe(0);
+        expect(logEventErrorSpy).to.have.been.calledWith(match.has('message', match(/WRONGTYPE/)));
+        expect(logEventErrorSpy).to.not.have.been.calledWith(match.has('message', 'Invalid data'));
+        const [[pendingId]] = await redis.xpending('channel', 'group', '-', '+', 10);
+        expect(pendingId).to.equal(id);
+      });
+    });
+    describe('when callback returns a disposition', () => {
+      afterEach(async () => {
+        await redis.xdel('channel', id);
+        await redis.xgroup('DESTROY', 'channel', 'group');
+      });
+      it('should leave the message pending when it returns retry', async () => {
+        id = await redis.xadd('channel', '*', ...encodeMessage({ action: 'action', data: { foo: 'bar' } }));
+        callback = stub().resolves('retry');
+        const subscriber = new Subscriber({ channels: ['channel'], group: 'group' });
+        subscriber.subscribe(callback);
+        await _sleep(1000); // Wait for messages to be processed
+        assert.calledOnce(callback);
+        const pending = await redis.xpending('channel', 'group', '-', '+', 10);
+        expect(pending).to.have.lengthOf(1);
+      });
+      it('should move the message to the dead-letter stream when it returns reject', async () => {
+        id = await redis.xadd('channel', '*', ...encodeMessage({ messageId: 'rejected', action: 'action', data: { foo: 'bar' } }));
+        callback = stub().resolves('reject');
+        const subscriber = new Subscriber({ channels: ['channel'], group: 'group' }, spy((err) => {}));
+        subscriber.subscribe(callback);
+        await _sleep(1000); // Wait for messages to be processed
+        const pending = await redis.xpending('channel', 'group', '-', '+', 10);
+        expect(pending).to.have.lengthOf(0);
+        const [[rejectionId, values]] = await redis.xrevrange('channel:group:dlq', '+', '-', 'COUNT', 1);
+        await redis.xdel('channel:group:dlq', rejectionId);
+        expect(decodeMessage(values).messageId).to.equal('rejected');
+      });
+    });
+    describe('when metrics are provided', () => {
+      afterEach(async () => {
+        await redis.xdel('channel', id);
+        await redis.xgroup('DESTROY', 'channel', 'group');
+      });
+      it('should count received and confirmed messages and observe the handler duration', async () => {
+        id = await redis.xadd('channel', '*', ...encodeMessage({ action: 'action', data: { foo: 'bar' } }));
+        callback = stub().resolves();
+        const metrics = { increment: spy(), observe: spy() };
+        const subscriber = new Subscriber({ channels: ['channel'], group: 'group', metrics });
+        subscriber.subscribe(callback);
+        await _sleep(1000); // Wait for messages to be processed
+        const labels = { channel: 'channel', group: 'group', action: 'action' };
+        expect(metrics.increment).to.have.been.calledWith(METRICS.RECEIVED, labels);
+        expect(metrics.increment).to.have.been.calledWith(METRICS.CONFIRMED, labels);
+        expect(metrics.observe).to.have.been.calledWith(METRICS.HANDLER_DURATION, labels);
+      });
+    });
+    describe('when concurrency is bounded', () => {
+      let ids;
+      afterEach(async () => {
+        await redis.xdel('channel', ...ids);
+        await redis.xgroup('DESTROY', 'channel', 'group');
+      });
+      it('should not process more messages at once than the concurrency', async () => {
+        ids = [];
+        for (let i = 0; i < 6; i++) {
+          ids.push(await redis.xadd('channel', '*', ...encodeMessage({ action: 'action', data: { i } })));
+        }
+        let inFlight = 0;
+        let maxInFlight = 0;
+        callback = spy(async () => {
+          inFlight++;
+          maxInFlight = Math.max(maxInFlight, inFlight);
+          await _sleep(200);
+          inFlight--;
+        });
+        const subscriber = new Subscriber({ channels: ['channel'], group: 'group', messages: 10, concurrency: 2 });
+        subscriber.subscribe(callback);
+        await _sleep(1500); // Wait for messages to be processed
+        expect(callback).to.have.callCount(6);
+        expect(maxInFlight).to.equal(2);
+      });
+    });
+    describe('when ordering key is provided', () => {
+      let ids;
+      afterEach(async () => {
+        await redis.xdel('channel', ...ids);
+        await redis.xgroup('DESTROY', 'channel', 'group');
+      });
+      it('should process messages with the same key one at a time in stream order, even when retried', async () => {
+        ids = [];
+        for (let i = 0; i < 6; i++) {
+          ids.push(await redis.xadd('channel', '*', ...encodeMessage({ action: 'action', data: { key: i % 2 ? 'b' : 'a', i } })));
+        }
+        const processed = [];
+        const active = {};
+        let overlapped = false;
+        let failed = false;
+        callback = spy(async ({ data }) => {
+          if (active[data.key]) overlapped = true;
+          active[data.key] = true;
+          await _sleep(50);
+          active[data.key] = false;
+          if (data.i === 2 && !failed) {
+            failed = true;
+            throw new Error('Failed once');
+          }
+          processed.push(data.i);
+        });
+        const subscriber = new Subscriber({
+          channels: ['channel'],
+          group: 'group',
+          timeout: 100,
+          interval: 50,
+          messages: 10,
+          orderingKey: (message) => message.data.key
+        }, spy((err) => {}));
+        subscriber.subscribe(callback);
+        await _sleep(1500); // Wait for messages to be processed and retried
+        await subscriber.unsubscribe(0);
+        expect(overlapped).to.equal(false);
+        expect(processed.filter((i) => i % 2 === 0)).to.deep.equal([0, 2, 4]);
+        expect(processed.filter((i) => i % 2 === 1)).to.deep.equal([1, 3, 5]);
+        // Messages of other keys are not held up by the retried message.
+        expect(processed.indexOf(5)).to.be.below(processed.indexOf(2));
+        const retried = callback.getCalls().find((call) => call.args[0].data.i === 4);
+        expect(retried.args[0].attempts).to.equal(1);
+        // Messages are forgotten once confirmed.
+        expect(await redis.exists('channel:group:ordering:a', 'channel:group:ordering:b')).to.equal(0);
+      });
+      it('should not wait for earlier messages of the key that are no longer pending', async () => {
+        ids = [await redis.xadd('channel', '*', ...encodeMessage({ action: 'action', data: { key: 'a' } }))];
+        // A message acknowledged by a consumer that stopped before forgetting it.
+        await redis.zadd('channel:group:ordering:a', 1, '1-0');
+        callback = spy(async () => {});
+        const subscriber = new Subscriber({
+          channels: ['channel'],
+          group: 'group',
+          orderingKey: (message) => message.data.key
+        });
+        subscriber.subscribe(callback);
+        await _sleep(500); // Wait for messages to be processed
+        await subscriber.unsubscribe(0);
+        assert.calledOnce(callback);
+        expect(await redis.exists('channel:group:ordering:a')).to.equal(0);
+      });
+    });
+    describe('when routes are registered', () => {
+      let ids;
+      afterEach(async () => {
+        await redis.xdel('channel', ...ids);
+        await redis.del('channel:group:dlq');
+        await redis.xgroup('DESTROY', 'channel', 'group');
+      });
+      it('should process each message with the handler of its action and the rest with the callback', async () => {
+        ids = [];
+        for (const action of ['user.created', 'user.deleted', 'user.profile.updated', 'order.paid']) {
+          ids.push(await redis.xadd('channel', '*', ...encodeMessage({ action, data: {} })));
+        }
+        const created = spy(async () => {});
+        const user = spy(async () => {});
+        const anyUser = spy(async () => {});
+        const confirmed = spy();
+        callback = spy(async () => {});
+        const subscriber = new Subscriber({ channels: ['channel'], group: 'group', messages: 10 });
+        subscriber.on('user.*', user).on('user.**', anyUser).on('user.created', created).on('confirmed', confirmed);
+        subscriber.subscribe(callback);
+        await _sleep(1000); // Wait for messages to be processed
+        await subscriber.unsubscribe(0);
+        expect(created).to.have.been.calledOnceWith(match({ action: 'user.created' }));
+        expect(user).to.have.been.calledOnceWith(match({ action: 'user.deleted' }));
+        expect(anyUser).to.have.been.calledOnceWith(match({ action: 'user.profile.updated' }));
+        expect(callback).to.have.been.calledOnceWith(match({ action: 'order.paid' }));
+        expect(confirmed).to.have.callCount(4);
+      });
+      it('should stop handling the messages of a route removed with off', async () => {
+        ids = [await redis.xadd('channel', '*', ...encodeMessage({ action: 'user.created', data: {} }))];
+        const created = spy(async () => {});
+        const user = spy(async () => {});
+        const confirmed = spy();
+        callback = spy(async () => {});
+        const subscriber = new Subscriber({ channels: ['channel'], group: 'group' });
+        subscriber.on('user.created', created).on('user.*', user).on('confirmed', confirmed);
+        subscriber.off('user.created', created).removeListener('confirmed', confirmed);
+        subscriber.subscribe(callback);
+        await _sleep(500); // Wait for messages to be processed
+        await subscriber.unsubscribe(0);
+        assert.notCalled(created);
+        assert.notCalled(confirmed);
+        expect(user).to.have.been.calledOnceWith(match({ action: 'user.created' }));
+        assert.notCalled(callback);
+      });
+      it('should apply the unknown action policy and the retries of the routes', async () => {
+        ids = [
+          await redis.xadd('channel', '*', ...encodeMessage({ action: 'unknown', data: {} })),
+          await redis.xadd('channel', '*', ...encodeMessage({ action: 'known', data: {} }))
+        ];
+        const known = spy(async () => { throw new Error('Failed'); });
+        const subscriber = new Subscriber({
+          channels: ['channel'],
+          group: 'group',
+          messages: 10,
+          interval: 50,
+          unknownAction: 'reject'
+        }, spy((err) => {}));
+        subscriber.on('known', known, { retries: 0, timeout: 100 });
+        subscriber.subscribe();
+        await _sleep(1000); // Wait for messages to be rejected
+        await subscriber.unsubscribe(0);
+        assert.calledOnce(known);
+        const deadLetters = await redis.xrange('channel:group:dlq', '-', '+');
+        expect(deadLetters.map(([, values]) => decodeMessage(values).fields.error)).to.deep.equal(['UNKNOWN_ACTION', 'Failed']);
+      });
+      it('should retry the messages of a route after its timeout, even if the retry policy sets another delay', async () => {
+        ids = [await redis.xadd('channel', '*', ...encodeMessage({ action: 'known', data: {} }))];
+        const known = stub().onFirstCall().rejects(new Error('Failed')).resolves();
+        const subscriber = new Subscriber({
+          channels: ['channel'],
+          group: 'group',
+          interval: 50,
+          retryPolicy: { delay: 10000 }
+        }, spy((err) => {}));
+        subscriber.addListener('known', known, { timeout: 100 });
+        subscriber.subscribe();
+        await _sleep(1000); // Wait for messages to be retried
+        await subscriber.unsubscribe(0);
+        assert.calledTwice(known);
+      });
+    });
+    describe('when a schema is registered', () => {
+      beforeEach(() => {
+        redismb.registerSchema('channel', 'action', { type: 'object', required: ['foo'] });
+      });
+      afterEach(async () => {
+        defaultBroker.schemas.unregister('channel', 'action');
+        await redis.xdel('channel', id);
+        await redis.del('channel:group:dlq');
+        await redis.xgroup('DESTROY', 'channel', 'group');
+      });
+      it('should move invalid messages to the dead-letter stream with the validation errors without calling the callback', async () => {
+        id = await redis.xadd('channel', '*', ...encodeMessage({ action: 'action', data: { bar: 'baz' } }));
+        callback = stub().resolves();
+        const subscriber = new Subscriber({ channels: ['channel'], group: 'group' }, spy((err) => {}));
+        subscriber.subscribe(callback);
+        await _sleep(1000); // Wait for messages to be processed
+        await subscriber.unsubscribe(0);
+        assert.notCalled(callback);
+        const [{ originalId, error, validationErrors, attempts }] = (await redismb.readRejectedMessages({ streams: 'channel:group:dlq' })).messages;
+        expect(originalId).to.equal(id);
+        expect(error).to.equal('Invalid data for action action in channel channel: / must have required property \'foo\'');
+        expect(validationErrors).to.deep.equal([
+          { path: '', message: 'must have required property \'foo\'', params: { missingProperty: 'foo' } }
+        ]);
+        expect(attempts).to.equal(1);
+      });
+    });
+    describe('when listening to lifecycle events', () => {
+      afterEach(async () => {
+        await redis.xdel('channel', id);
+        await redis.xgroup('DESTROY', 'channel', 'group');
+      });
+      it('should emit started, received and confirmed events with the message', async () => {
+        id = await redis.xadd('channel', '*', ...encodeMessage({ action: 'action', data: { foo: 'bar' } }));
+        callback = stub().resolves();
+        const started = spy();
+        const received = spy();
+        const confirmed = spy();
+        const subscriber = new Subscriber({ channels: ['channel'], group: 'group' });
+        subscriber.on('started', started).on('received', received).on('confirmed', confirmed);
+        subscriber.subscribe(callback);
+        await _sleep(1000); // Wait for messages to be processed
+        expect(started).to.have.been.calledOnceWith({ channels: ['channel'], group: 'group', clientId: subscriber.clientId });
+        expect(received).to.have.been.calledOnce;
+        expect(received.firstCall.args[0]).to.include({ channel: 'channel', id, action: 'action' });
+        expect(confirmed).to.have.been.calledOnce;
+        expect(confirmed.firstCall.args[0]).to.include({ channel: 'channel', id, action: 'action' });
+      });
+      it('should emit rejected and error events with the message and the error', async () => {
+        id = await redis.xadd('channel', '*', ...encodeMessage({ action: 'action', data: { foo: 'bar' } }));
+        const error = new NonRetryableError('Invalid data');
+        callback = stub().rejects(error);
+        const rejected = spy();
+        const failed = spy();
+        const subscriber = new Subscriber({ channels: ['channel'], group: 'group' }, spy((err) => {}));
+        subscriber.on('rejected', rejected).on('error', failed);
+        subscriber.subscribe(callback);
+        await _sleep(1000); // Wait for messages to be processed
+        expect(rejected).to.have.been.calledOnce;
+        expect(rejected.firstCall.args[0]).to.include({ channel: 'channel', id });
+        expect(rejected.firstCall.args[1]).to.equal(error);
+        expect(failed).to.have.been.calledOnce;
+        expect(failed.firstCall.args[0]).to.equal(error);
+        const [[rejectionId]] = await redis.xrevrange('channel:group:dlq', '+', '-', 'COUNT', 1);
+        await redis.xdel('channel:group:dlq', rejectionId);
+      });
+    });
+    describe('when logger is provided', () => {
+      afterEach(async () => {
+        await redis.xdel('channel', id);
+        await redis.xgroup('DESTROY', 'channel', 'group');
+      });
+      it('should log structured records with the group and client id', async () => {
+        id = await redis.xadd('channel', '*', ...encodeMessage({ action: 'action', data: { foo: 'bar' } }));
+        callback = stub().resolves();
+        const records = [];
+        const logger = { info: (record) => records.push(record) };
+        const subscriber = new Subscriber({ channels: ['channel'], group: 'group', clientId: 'client', logger });
+        subscriber.subscribe(callback);
+        await _sleep(1000); // Wait for messages to be processed
+        expect(records).to.deep.include({
+          message: `CONFIRMED channel action ${id}`,
+          status: 'CONFIRMED',
+          channel: 'channel',
+          action: 'action',
+          id,
+          group: 'group',
+          clientId: 'client'
+        });
+      });
+    });
   });
 
   describe('unsubscribe', () => {
@@ -210,4 +778,47 @@ describe('Redis Subscriber', () => {
       expect(result).to.equal('OK');
     });
   });
+
+  describe('graceful unsubscribe', () => {
+    let id;
+    const _sleep = (ms) => {
+      return new Promise((resolve) => setTimeout(resolve, ms));
+    };
+    afterEach(async () => {
+      await redis.xdel('channel', id);
+      await redis.xgroup('DESTROY', 'channel', 'group');
+    });
+    it('should wait for the callbacks in progress before deleting the consumer', async () => {
+      let finished = false;
+      const subscriber = new Subscriber({ channels: ['channel'], group: 'group' });
+      subscriber.subscribe(async () => {
+        await _sleep(500);
+        finished = true;
+      });
+      await _sleep(100);
+      id = await redis.xadd('channel', '*', ...encodeMessage({ action: 'action', data: { foo: 'bar' } }));
+      await _sleep(200); // Wait for the message to be received
+      const { drained, pending } = await subscriber.unsubscribe(5000);
+      expect(finished).to.equal(true);
+      expect(drained).to.equal(true);
+      expect(pending).to.equal(0);
+      expect(await redis.xpending('channel', 'group', '-', '+', 10)).to.have.lengthOf(0);
+    });
+    it('should keep the consumer with its pending messages, even if there are other consumers', async () => {
+      const subscriber = new Subscriber({ channels: ['channel'], group: 'group', clientId: 'leaving' }, spy((err) => {}));
+      await _sleep(100); // Wait for the group to be created
+      await redis.xgroup('CREATECONSUMER', 'channel', 'group', 'staying');
+      subscriber.subscribe(stub().rejects(new Error('failed')));
+      await _sleep(100);
+      id = await redis.xadd('channel', '*', ...encodeMessage({ action: 'action', data: { foo: 'bar' } }));
+      await _sleep(200); // Wait for the message to fail
+      const { pending } = await subscriber.unsubscribe(5000);
+      expect(pending).to.equal(1);
+      const [[pendingId, consumer]] = await redis.xpending('channel', 'group', '-', '+', 10);
+      expect(pendingId).to.equal(id);
+      expect(consumer).to.equal('leaving');
+      const consumers = await redis.xinfo('CONSUMERS', 'channel', 'group');
+      expect(consumers.map(([, name]) => name)).to.deep.equal(['leaving', 'staying']);
+    });
+  });
 });
@@ -0,0 +1,142 @@
+import { expect } from 'chai';
+import { context, propagation, trace, SpanKind, SpanStatusCode } from '@opentelemetry/api';
+import { AsyncLocalStorageContextManager } from '@opentelemetry/context-async-hooks';
+import { W3CTraceContextPropagator } from '@opentelemetry/core';
+import { BasicTracerProvider, InMemorySpanExporter, SimpleSpanProcessor } from '@opentelemetry/sdk-trace-base';
+
+import redismb from '../src/redismb.js';
+import Publisher from '../src/publisher.js';
+import Subscriber from '../src/subscriber.js';
+import { startProducerSpan, startConsumerSpan, ATTRIBUTES } from '../src/tracing.js';
+
+const _sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Tracing', () => {
+  const exporter = new InMemorySpanExporter();
+
+  before(() => {
+    context.setGlobalContextManager(new AsyncLocalStorageContextManager().enable());
+    propagation.setGlobalPropagator(new W3CTraceContextPropagator());
+    trace.setGlobalTracerProvider(new BasicTracerProvider({ spanProcessors: [new SimpleSpanProcessor(exporter)] }));
+  });
+
+  after(() => {
+    trace.disable();
+    propagation.disable();
+    context.disable();
+  });
+
+  afterEach(() => {
+    exporter.reset();
+  });
+
+  describe('startProducerSpan', () => {
+    it('should inject the trace context of the producer span into the headers', () => {
+      const span = startProducerSpan('channel', 'action');
+      const headers = span.inject({ foo: 'bar' });
+      span.end(null, '1-0');
+
+      const [producerSpan] = exporter.getFinishedSpans();
+      expect(producerSpan.name).to.equal('publish channel');
+      expect(producerSpan.kind).to.equal(SpanKind.PRODUCER);
+      expect(producerSpan.attributes).to.include({
+        [ATTRIBUTES.CHANNEL]: 'channel',
+        [ATTRIBUTES.ACTION]: 'action',
+        [ATTRIBUTES.ID]: '1-0'
+      });
+      expect(headers.foo).to.equal('bar');
+      const { traceId, spanId } = producerSpan.spanContext();
+      expect(headers.traceparent).to.equal(`00-${traceId}-${spanId}-01`);
+    });
+
+    it('should record errors', () => {
+      startProducerSpan('channel', 'action').end(new Error('failed'));
+
+      const [producerSpan] = exporter.getFinishedSpans();
+      expect(producerSpan.status).to.deep.equal({ code: SpanStatusCode.ERROR, message: 'failed' });
+      expect(producerSpan.events[0].name).to.equal('exception');
+    });
+  });
+
+  describe('startConsumerSpan', () => {
+    it('should run the callback within a consumer span continuing the trace of the headers', async () => {
+      const producer = startProducerSpan('channel', 'action');
+      const headers = producer.inject({});
+      producer.end(null, '1-0');
+
+      const span = startConsumerSpan({ channel: 'channel', group: 'group', action: 'action', id: '1-0', attempts: 2, headers });
+      const activeSpan = await span.run(async () => {
+        await _sleep(1);
+        return trace.getActiveSpan();
+      });
+      span.end();
+
+      const [producerSpan, consumerSpan] = exporter.getFinishedSpans();
+      expect(activeSpan.spanContext().spanId).to.equal(consumerSpan.spanContext().spanId);
+      expect(consumerSpan.name).to.equal('process channel');
+      expect(consumerSpan.kind).to.equal(SpanKind.CONSUMER);
+      expect(consumerSpan.spanContext().traceId).to.equal(producerSpan.spanContext().traceId);
+      expect(consumerSpan.parentSpanContext.spanId).to.equal(producerSpan.spanContext().spanId);
+      expect(consumerSpan.attributes).to.include({
+        [ATTRIBUTES.CHANNEL]: 'channel',
+        [ATTRIBUTES.GROUP]: 'group',
+        [ATTRIBUTES.ACTION]: 'action',
+        [ATTRIBUTES.ID]: '1-0',
+        [ATTRIBUTES.ATTEMPT]: 2
+      });
+    });
+
+    it('should start a new trace when the headers carry no trace context', () => {
+      startConsumerSpan({ channel: 'channel', group: 'group', action: 'action', id: '1-0', attempts: 1 }).end();
+
+      const [consumerSpan] = exporter.getFinishedSpans();
+      expect(consumerSpan.parentSpanContext).to.equal(undefined);
+    });
+  });
+
+  describe('publish and subscribe', () => {
+    let redis;
+    beforeEach(async () => {
+      redis = await redismb.bootstrap('redis://localhost:6379');
+    });
+
+    afterEach(async () => {
+      await redis.del('tracing-channel');
+      await redismb.stop();
+    });
+
+    it('should follow the trace from the publisher to the subscriber callback', async () => {
+      const tracer = trace.getTracer('test');
+      const publisher = new Publisher({ channel: 'tracing-channel' });
+      const subscriber = new Subscriber({ channels: ['tracing-channel'], group: 'group', scheduler: false });
+
+      let callbackSpan;
+      subscriber.subscribe(async () => {
+        callbackSpan = trace.getActiveSpan();
+      });
+
+      const id = await tracer.startActiveSpan('request', async (span) => {
+        const id = await publisher.publish('action', { foo: 'bar' });
+        span.end();
+        return id;
+      });
+      await _sleep(1000); // Wait for messages to be processed
+      await subscriber.unsubscribe(0);
+      await redis.xgroup('DESTROY', 'tracing-channel', 'group');
+
+      const spans = exporter.getFinishedSpans();
+      const requestSpan = spans.find(({ name }) => name === 'request');
+      const producerSpan = spans.find(({ name }) => name === 'publish tracing-channel');
+      const consumerSpan = spans.find(({ name }) => name === 'process tracing-channel');
+      expect(producerSpan.parentSpanContext.spanId).to.equal(requestSpan.spanContext().spanId);
+      expect(producerSpan.attributes[ATTRIBUTES.ID]).to.equal(id);
+      expect(consumerSpan.parentSpanContext.spanId).to.equal(producerSpan.spanContext().spanId);
+      expect(consumerSpan.attributes).to.include({
+        [ATTRIBUTES.GROUP]: 'group',
+        [ATTRIBUTES.ACTION]: 'action',
+        [ATTRIBUTES.ATTEMPT]: 1
+      });
+      expect(callbackSpan.spanContext().spanId).to.equal(consumerSpan.spanContext().spanId);
+    });
+  });
+});